@@ -1,4 +1,144 @@
-const { Plugin, PluginSettingTab, Setting, Notice } = require('obsidian');
+const { Plugin, PluginSettingTab, Setting, Notice, Modal, SuggestModal, EditorSuggest, Menu, MarkdownView, HoverPopover, TFile, requestUrl, parseYaml, normalizePath, moment, editorLivePreviewField } = require('obsidian');
+const { isolateHistory } = require('@codemirror/commands');
+const { syntaxTree } = require('@codemirror/language');
+const { RangeSetBuilder } = require('@codemirror/state');
+const { ViewPlugin, Decoration, WidgetType } = require('@codemirror/view');
+
+const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+const SPOTIFY_REDIRECT_URI = 'obsidian://spotify-auth';
+const MAX_CACHED_IMAGES = 500;
+// Results of the search modal and link autocomplete, kept in memory only
+const MAX_SEARCH_SUGGESTIONS = 50;
+const SEARCH_SUGGESTION_TTL = 5 * 60 * 1000;
+// Target width in pixels of each cover size; Spotify covers come in 640, 300 and 64
+const COVER_SIZES = { large: 640, medium: 300, small: 64 };
+const MAX_CONCURRENT_REQUESTS = 4;
+const MAX_REQUEST_RETRIES = 3;
+// Longer Retry-After waits are reported instead of silently stalling renders
+const MAX_RETRY_AFTER_SECONDS = 60;
+// Maximum IDs per call of the multi-ID endpoints
+const BATCH_LIMITS = { tracks: 50, albums: 20, artists: 50, shows: 50, episodes: 50 };
+// Shows and episodes are only returned for an explicit market
+const MARKET_RESOURCES = ['shows', 'episodes'];
+const BATCH_DELAY = 50;
+const LAYOUTS = ['card', 'list', 'grid', 'inline'];
+const SPOTIFY_ITEM_TYPES = ['track', 'album', 'artist', 'playlist', 'show', 'episode', 'user'];
+const SHORT_LINK_HOSTS = ['spotify.link', 'spoti.fi'];
+// Inline references rendered as chips: [spotify:type:id], [[spotify:type:id]],
+// bare spotify:type:id URIs and plain open.spotify.com links
+const INLINE_REFERENCE_PATTERN = /\[{0,2}spotify:(track|album|artist|playlist|show|episode):([a-zA-Z0-9]{22})\]{0,2}|https:\/\/open\.spotify\.com\/(?:intl-[a-zA-Z-]+\/)?(track|album|artist|playlist|show|episode)\/([a-zA-Z0-9]{22})(?:\?[^\s)\]]*[^\s)\].,;:!?])?/g;
+const ITEM_BLOCK_TYPES = ['track', 'album', 'artist', 'playlist', 'show', 'episode'];
+// Blocks listing the saved library of the connected account
+const LIBRARY_TYPES = {
+  'liked-tracks': { endpoint: '/me/tracks?limit=50', itemType: 'track', label: 'Liked Songs' },
+  'saved-albums': { endpoint: '/me/albums?limit=50', itemType: 'album', label: 'Saved Albums' },
+  'followed-artists': { endpoint: '/me/following?type=artist&limit=50', itemType: 'artist', label: 'Followed Artists' },
+  'my-playlists': { endpoint: '/me/playlists?limit=50', itemType: 'playlist', label: 'Playlists' },
+  'recently-played': { endpoint: '/me/player/recently-played?limit=50', itemType: 'track', label: 'Recently Played' },
+  'top-tracks': { endpoint: '/me/top/tracks?limit=50', itemType: 'track', label: 'Top Tracks', ranked: true },
+  'top-artists': { endpoint: '/me/top/artists?limit=50', itemType: 'artist', label: 'Top Artists', ranked: true }
+};
+const TIME_RANGES = {
+  short_term: 'last 4 weeks',
+  medium_term: 'last 6 months',
+  long_term: 'last year'
+};
+const LIBRARY_DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+// A Unix timestamp in seconds or milliseconds, a date or an ISO date and time
+const TIMESTAMP_PATTERN = /^(\d{10}|\d{13}|\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?)$/;
+// Allowed keys and values of the `spotify` and `spotify-search` code blocks
+const CODE_BLOCK_SCHEMA = {
+  type: { enum: [...ITEM_BLOCK_TYPES, ...Object.keys(LIBRARY_TYPES)] },
+  id: { type: 'string' },
+  url: { type: 'string' },
+  layout: { enum: LAYOUTS },
+  limit: { type: 'integer', min: 1, max: 50 },
+  offset: { type: 'integer', min: 0 },
+  // Library blocks only
+  sort: { enum: ['added', 'name', 'artist'] },
+  since: { type: 'string', pattern: LIBRARY_DATE_PATTERN, hint: 'must be a date like 2024-05-01 or a month like 2024-05' },
+  until: { type: 'string', pattern: LIBRARY_DATE_PATTERN, hint: 'must be a date like 2024-05-31 or a month like 2024-05' },
+  user: { type: 'string' },
+  time_range: { enum: Object.keys(TIME_RANGES) },
+  after: { type: 'string', pattern: TIMESTAMP_PATTERN, hint: 'must be a date, a date and time or a Unix timestamp' },
+  before: { type: 'string', pattern: TIMESTAMP_PATTERN, hint: 'must be a date, a date and time or a Unix timestamp' }
+};
+const LIBRARY_OPTIONS = ['sort', 'since', 'until', 'user', 'time_range', 'after', 'before'];
+const SEARCH_FILTERS = ['artist', 'album', 'track', 'year', 'genre', 'tag', 'isrc', 'upc'];
+const SEARCH_BLOCK_SCHEMA = {
+  searchType: { enum: ['track', 'album', 'artist', 'playlist', 'show', 'episode'] },
+  layout: { enum: LAYOUTS },
+  limit: { type: 'integer', min: 1, max: 50 },
+  query: { type: 'string' },
+  market: { type: 'string', pattern: /^[a-zA-Z]{2}$/, hint: 'must be a two-letter country code' },
+  interactive: { type: 'boolean' },
+  // Spotify field filters, combined with `query`
+  artist: { type: 'string' },
+  album: { type: 'string' },
+  track: { type: 'string' },
+  year: { type: 'string', pattern: /^\d{4}(-\d{4})?$/, hint: 'must be a year or a range like 1990-1999' },
+  genre: { type: 'string' },
+  tag: { enum: ['new', 'hipster'] },
+  isrc: { type: 'string' },
+  upc: { type: 'string' }
+};
+const STATS_BLOCK_SCHEMA = {
+  since: { type: 'string', pattern: LIBRARY_DATE_PATTERN, hint: 'must be a date like 2024-05-01 or a month like 2024-05' },
+  until: { type: 'string', pattern: LIBRARY_DATE_PATTERN, hint: 'must be a date like 2024-05-31 or a month like 2024-05' },
+  days: { type: 'integer', min: 1, max: 3650 },
+  limit: { type: 'integer', min: 1, max: 50 }
+};
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+// Files of Spotify's account data and extended streaming history exports
+const STREAMING_HISTORY_FILE = /^(StreamingHistory(_music)?_?\d*|Streaming_History_Audio_.*)\.json$/;
+// Spotify counts a play once a track has played for 30 seconds
+const MIN_IMPORTED_PLAY_MS = 30000;
+const INSERT_FORMATS = {
+  codeblock: 'code block',
+  inline: 'inline link',
+  markdown: 'markdown link'
+};
+// Type prefixes accepted by the search modal, e.g. "ar: miles davis"
+const SEARCH_PREFIXES = {
+  t: 'track',
+  a: 'album',
+  ar: 'artist',
+  p: 'playlist',
+  s: 'show',
+  e: 'episode'
+};
+// Placeholders: {{name}} {{type}} {{id}} {{artists}} {{album}} {{release_date}} {{genres}}
+// {{popularity}} {{followers}} {{total_tracks}} {{description}} {{tracklist}} {{cover}}
+// {{cover_embed}} {{spotify_url}} {{spotify_uri}}
+const DEFAULT_NOTE_TEMPLATE = `# {{name}}
+
+{{artists}}
+
+\`\`\`spotify
+url: {{spotify_url}}
+layout: card
+\`\`\`
+
+{{tracklist}}
+`;
+// Note properties that change over time and are updated by "Refresh music notes"
+const REFRESHED_PROPERTIES = ['popularity', 'followers', 'total_tracks', 'genres', 'cover'];
+// Placeholders: {{time}} {{track}} {{artists}} {{album}} {{duration}} {{url}} {{uri}}
+const DEFAULT_LOG_TEMPLATE = '- {{time}} [{{track}}]({{url}}) – {{artists}}';
+const SPOTIFY_SCOPES = [
+  'user-read-private',
+  'user-library-read',
+  'user-follow-read',
+  'user-top-read',
+  'user-read-recently-played',
+  'user-read-playback-state',
+  'user-modify-playback-state',
+  'user-read-currently-playing',
+  'user-read-playback-position',
+  'playlist-read-private',
+  'playlist-read-collaborative'
+];
 
 /**
  * Spotify Obsidian Plugin
@@ -6,19 +146,43 @@ const { Plugin, PluginSettingTab, Setting, Notice } = require('obsidian');
 class SpotifyPlugin extends Plugin {
   constructor() {
     super(...arguments);
-    this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000;
+    this.cache = new SpotifyCache(this);
+    this.covers = new CoverStore(this);
+    this.history = new ListeningHistory(this);
+    this.requestQueue = new RequestQueue(MAX_CONCURRENT_REQUESTS);
+    this.inFlightRequests = new Map();
+    this.pendingLoads = new Map();
+    this.searchSuggestions = new Map();
+    this.batchLoader = new BatchLoader(this);
     this.accessToken = null;
     this.tokenExpiry = null;
+    this.pendingAuth = null;
+    this.refreshPromise = null;
+    // Set when Spotify asks to wait longer than MAX_RETRY_AFTER_SECONDS
+    this.rateLimitedUntil = 0;
+    this.statusBarItem = null;
+    this.nowPlayingTimer = null;
+    this.historyTimer = null;
+    this.historySync = null;
     this.settings = {};
   }
 
   async onload() {
     console.log('Loading Spotify Plugin');
     await this.loadSettings();
+    await this.cache.load();
+    await this.covers.load();
+    await this.history.load();
     this.registerCodeBlockProcessors();
-    this.addSettingTab(new SpotifySettingTab(this.app, this));
-    if (this.settings.clientId && this.settings.clientSecret) {
+    this.registerPlaybackCommands();
+    this.registerInsertCommands();
+    this.registerNoteCommands();
+    this.setupNowPlaying();
+    this.setupListeningLog();
+    this.registerObsidianProtocolHandler('spotify-auth', this.handleAuthCallback.bind(this));
+    this.settingTab = new SpotifySettingTab(this.app, this);
+    this.addSettingTab(this.settingTab);
+    if (!this.isUserConnected() && this.settings.clientId && this.settings.clientSecret) {
       await this.authenticateSpotify();
     }
   }
@@ -44,20 +208,62 @@ async loadSettings() {
     maxResults: 20,
     accessToken: null,
     refreshToken: null,
-    tokenExpiresAt: null };
+    tokenExpiresAt: null,
+    userDisplayName: '',
+    showNowPlaying: true,
+    nowPlayingInterval: 15,
+    cacheTimeout: 5 * 60 * 1000,
+    // Per-type cache durations in minutes
+    cacheTtls: {
+      track: 7 * 24 * 60,
+      album: 7 * 24 * 60,
+      artist: 24 * 60,
+      playlist: 60,
+      show: 6 * 60,
+      episode: 7 * 24 * 60,
+      search: 60,
+      library: 30
+    },
+    maxCacheSizeMb: 20,
+    cacheImages: true,
+    market: 'US',
+    searchInsertMode: 'cursor',
+    insertFormat: 'codeblock',
+    linkSuggest: true,
+    pasteConversion: 'off',
+    noteFolder: 'Music',
+    noteFilename: '{{name}}',
+    noteTemplatePath: '',
+    downloadCovers: false,
+    coverFolder: 'Spotify Covers',
+    coverSize: 'large',
+    listeningLog: false,
+    listeningLogInterval: 30,
+    dailyNoteFolder: '',
+    dailyNoteFormat: 'YYYY-MM-DD',
+    listeningLogHeading: '## Listening log',
+    listeningLogTemplate: DEFAULT_LOG_TEMPLATE };
   
   const loaded = await this.loadData();
   this.settings = Object.assign({}, defaults, loaded);
+  this.settings.cacheTtls = Object.assign({}, defaults.cacheTtls, loaded?.cacheTtls);
   
   // Validate numeric settings
   this.settings.gridColumns = Math.max(1, Math.min(this.settings.gridColumns, 5));
   this.settings.maxResults = Math.max(5, Math.min(this.settings.maxResults, 50));
+  this.settings.nowPlayingInterval = Math.max(5, Math.min(this.settings.nowPlayingInterval, 60));
   this.settings.cacheTimeout = Math.max(60000, this.settings.cacheTimeout || 5 * 60 * 1000);
+  this.settings.market = (this.settings.market || 'US').toUpperCase();
+  this.settings.maxCacheSizeMb = Math.max(1, Math.min(this.settings.maxCacheSizeMb, 200));
+  this.settings.listeningLogInterval = Math.max(10, Math.min(this.settings.listeningLogInterval, 120));
   
   // Validate layout setting
-  if (!['card', 'list', 'grid', 'inline'].includes(this.settings.defaultLayout)) {
+  if (!LAYOUTS.includes(this.settings.defaultLayout)) {
     this.settings.defaultLayout = 'card';
   }
+  if (!COVER_SIZES[this.settings.coverSize]) {
+    this.settings.coverSize = 'large';
+  }
 }
 
   async saveSettings() {
@@ -75,45 +281,187 @@ async authenticateSpotify() {
   }
   
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
-    
-    const response = await fetch('https://accounts.spotify.com/api/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': 'Basic ' + btoa(this.settings.clientId + ':' + this.settings.clientSecret)
-      },
-      body: 'grant_type=client_credentials',
-      signal: controller.signal
-    });
-    
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Authentication failed: ${response.status} - ${errorData.error_description || response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await this.requestToken(
+      { grant_type: 'client_credentials' },
+      { 'Authorization': 'Basic ' + btoa(this.settings.clientId + ':' + this.settings.clientSecret) }
+    );
     this.accessToken = data.access_token;
     this.tokenExpiry = Date.now() + (data.expires_in * 1000);
     
     console.log('Spotify authentication successful');
     return true;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error('Authentication request timed out');
-    }
     console.error('Spotify authentication error:', error);
     this.accessToken = null;
     this.tokenExpiry = null;
     throw error;
   }
 }
-  
+
+  async requestToken(params, headers = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+      const response = await fetch(SPOTIFY_TOKEN_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          ...headers
+        },
+        body: new URLSearchParams(params).toString(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        const error = new Error(`Authentication failed: ${response.status} - ${errorData.error_description || response.statusText}`);
+        error.code = errorData.error;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Authentication request timed out');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // ===================== USER AUTH (PKCE) =====================
+
+  isUserConnected() {
+    return !!this.settings.refreshToken;
+  }
+
+  async connectSpotifyAccount() {
+    if (!this.settings.clientId) {
+      throw new Error('Client ID is required');
+    }
+
+    const verifier = this.generateRandomString(64);
+    const state = this.generateRandomString(16);
+    const challenge = await this.createCodeChallenge(verifier);
+    this.pendingAuth = { verifier, state };
+
+    const params = new URLSearchParams({
+      client_id: this.settings.clientId,
+      response_type: 'code',
+      redirect_uri: SPOTIFY_REDIRECT_URI,
+      code_challenge_method: 'S256',
+      code_challenge: challenge,
+      scope: SPOTIFY_SCOPES.join(' '),
+      state
+    });
+    window.open(`${SPOTIFY_AUTHORIZE_URL}?${params.toString()}`);
+  }
+
+  async handleAuthCallback(params) {
+    try {
+      if (params.error) {
+        throw new Error(`Authorization denied: ${params.error}`);
+      }
+      if (!this.pendingAuth || params.state !== this.pendingAuth.state) {
+        throw new Error('Authorization state mismatch, please connect again');
+      }
+
+      const { verifier } = this.pendingAuth;
+      this.pendingAuth = null;
+
+      const data = await this.requestToken({
+        grant_type: 'authorization_code',
+        code: params.code,
+        redirect_uri: SPOTIFY_REDIRECT_URI,
+        client_id: this.settings.clientId,
+        code_verifier: verifier
+      });
+      this.storeUserTokens(data);
+
+      const profile = await this.makeSpotifyRequest('/me');
+      this.settings.userDisplayName = profile.display_name || profile.id;
+      if (!this.settings.defaultUserId) {
+        this.settings.defaultUserId = profile.id;
+      }
+      await this.saveSettings();
+      this.cache.clear();
+
+      new Notice(`✓ Connected to Spotify as ${this.settings.userDisplayName}`);
+      this.settingTab.display();
+    } catch (error) {
+      console.error('Spotify authorization error:', error);
+      new Notice(`✗ Spotify authorization failed: ${error.message}`);
+    }
+  }
+
+  async disconnectSpotifyAccount() {
+    this.settings.accessToken = null;
+    this.settings.refreshToken = null;
+    this.settings.tokenExpiresAt = null;
+    this.settings.userDisplayName = '';
+    await this.saveSettings();
+    this.cache.clear();
+  }
+
+  storeUserTokens(data) {
+    this.settings.accessToken = data.access_token;
+    this.settings.tokenExpiresAt = Date.now() + (data.expires_in * 1000);
+    // Spotify may rotate the refresh token on every refresh
+    if (data.refresh_token) {
+      this.settings.refreshToken = data.refresh_token;
+    }
+  }
+
+  async refreshUserToken() {
+    // Share a single refresh between concurrent requests
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const data = await this.requestToken({
+            grant_type: 'refresh_token',
+            refresh_token: this.settings.refreshToken,
+            client_id: this.settings.clientId
+          });
+          this.storeUserTokens(data);
+          await this.saveSettings();
+        } catch (error) {
+          if (error.code === 'invalid_grant') {
+            await this.disconnectSpotifyAccount();
+            throw new Error('Spotify session expired, please reconnect your account');
+          }
+          throw error;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+    return this.refreshPromise;
+  }
+
+  generateRandomString(length) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    const values = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(values, v => chars[v % chars.length]).join('');
+  }
+
+  async createCodeChallenge(verifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return btoa(String.fromCharCode(...new Uint8Array(digest)))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
 
   async getValidAccessToken() {
+    if (this.isUserConnected()) {
+      // Refresh a minute early so in-flight requests don't race the expiry
+      if (!this.settings.accessToken || Date.now() >= this.settings.tokenExpiresAt - 60000) {
+        await this.refreshUserToken();
+      }
+      return this.settings.accessToken;
+    }
     if (!this.accessToken || Date.now() >= this.tokenExpiry) {
       await this.authenticateSpotify();
     }
@@ -125,15 +473,18 @@ async authenticateSpotify() {
   registerCodeBlockProcessors() {
     this.registerMarkdownCodeBlockProcessor('spotify', this.processSpotifyCodeBlock.bind(this));
     this.registerMarkdownCodeBlockProcessor('spotify-search', this.processSpotifySearchCodeBlock.bind(this));
+    this.registerMarkdownCodeBlockProcessor('spotify-stats', this.processSpotifyStatsCodeBlock.bind(this));
     this.registerMarkdownPostProcessor(this.processInlineLinks.bind(this));
+    this.registerEditorExtension(createSpotifyChipPlugin(this));
+    this.registerDomEvent(document, 'mouseover', this.handleSpotifyHover.bind(this));
   }
 
   // ===================== CODE BLOCK PROCESSORS =====================
 
   async processSpotifyCodeBlock(source, el, ctx) {
     try {
-      const config = this.parseCodeBlockConfig(source);
-      const data = await this.fetchSpotifyData(config);
+      const config = await this.parseCodeBlockConfig(source);
+      const data = await this.fetchSpotifyData(config, fresh => this.renderSpotifyData(el, fresh, config));
       this.renderSpotifyData(el, data, config);
     } catch (error) {
       this.renderError(el, error.message);
@@ -143,137 +494,529 @@ async authenticateSpotify() {
   async processSpotifySearchCodeBlock(source, el, ctx) {
     try {
       const config = this.parseSearchCodeBlockConfig(source);
-      this.renderSearchInterface(el, config);
+      this.renderSearchInterface(el, config, { el, ctx });
+    } catch (error) {
+      this.renderError(el, error.message);
+    }
+  }
+
+  processSpotifyStatsCodeBlock(source, el, ctx) {
+    try {
+      const config = this.parseStatsCodeBlockConfig(source);
+      const stats = this.computeListeningStats(config);
+      this.renderListeningStats(el, stats, config);
     } catch (error) {
       this.renderError(el, error.message);
     }
   }
 
-  async processInlineLinks(el, ctx) {
-    const inlineLinks = el.querySelectorAll('a[href^="spotify:"]');
-    for (const link of inlineLinks) {
-      const href = link.getAttribute('href');
+  /**
+   * Replaces Spotify references in reading view with inline chips: links to
+   * `spotify:` URIs, `[[spotify:...]]` links, bare open.spotify.com links and
+   * `[spotify:type:id]` text. Titled links to open.spotify.com are left alone.
+   */
+  processInlineLinks(el, ctx) {
+    const links = el.querySelectorAll('a[href^="spotify:"], a.internal-link[data-href^="spotify:"], a.external-link[href*="open.spotify.com"]');
+    for (const link of links) {
+      const href = link.getAttribute('data-href') || link.getAttribute('href');
+      if (link.matches('.external-link') && link.textContent.trim() !== href) continue;
       try {
-        const config = this.parseInlineLink(href);
-        const data = await this.fetchSpotifyData(config);
-        const container = document.createElement('div');
-        container.className = 'spotify-inline-container';
-        this.renderSpotifyData(container, data, config);
-        link.parentNode.replaceChild(container, link);
+        const { type, id } = this.parseInlineLink(href);
+        if (!ITEM_BLOCK_TYPES.includes(type)) continue;
+        link.replaceWith(this.createSpotifyChip({ type, id }));
       } catch (error) {
-        this.renderError(link, error.message);
+        // Not a link to a Spotify item, keep it as it is
+      }
+    }
+
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.parentElement.closest('code, pre, a, .spotify-chip')) continue;
+      if (node.textContent.includes('spotify:')) textNodes.push(node);
+    }
+
+    for (const node of textNodes) {
+      const text = node.textContent;
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      for (const match of text.matchAll(INLINE_REFERENCE_PATTERN)) {
+        fragment.append(text.slice(lastIndex, match.index));
+        fragment.append(this.createSpotifyChip(this.parseInlineMatch(match)));
+        lastIndex = match.index + match[0].length;
       }
+      if (lastIndex === 0) continue;
+      fragment.append(text.slice(lastIndex));
+      node.replaceWith(fragment);
+    }
+  }
+
+  parseInlineMatch(match) {
+    return { type: match[1] || match[3], id: match[2] || match[4] };
+  }
+
+  /**
+   * Creates an inline chip for a Spotify item. The chip shows the reference
+   * right away and fills in cover, title and artist once the item is loaded.
+   */
+  createSpotifyChip(reference) {
+    const chip = document.createElement('a');
+    chip.className = 'spotify-chip is-loading';
+    chip.href = `https://open.spotify.com/${reference.type}/${reference.id}`;
+    chip.target = '_blank';
+    chip.rel = 'noopener';
+    chip.dataset.spotifyType = reference.type;
+    chip.dataset.spotifyId = reference.id;
+    chip.textContent = `spotify:${reference.type}:${reference.id}`;
+
+    this.fetchSpotifyData({ type: reference.type, id: reference.id })
+      .then(item => this.fillSpotifyChip(chip, item))
+      .catch(() => {
+        chip.classList.remove('is-loading');
+        chip.classList.add('is-error');
+      });
+    return chip;
+  }
+
+  fillSpotifyChip(chip, item) {
+    this.emptyElement(chip);
+    chip.classList.remove('is-loading');
+
+    const images = item.images || item.album?.images || [];
+    if (this.settings.showAlbumArt && images.length > 0) {
+      const img = document.createElement('img');
+      img.className = 'spotify-chip-image';
+      // The last image is the smallest
+      this.setImageSrc(img, images[images.length - 1].url);
+      chip.appendChild(img);
+    }
+
+    const title = document.createElement('span');
+    title.className = 'spotify-chip-title';
+    title.textContent = item.name;
+    chip.appendChild(title);
+
+    const subtitle = this.getItemSubtitle(item);
+    if (this.settings.showArtist && subtitle) {
+      const artist = document.createElement('span');
+      artist.className = 'spotify-chip-artist';
+      artist.textContent = subtitle;
+      chip.appendChild(artist);
     }
   }
 
+  // ===================== HOVER PREVIEWS =====================
+
+  /**
+   * Shows a popover card when hovering a chip, a `spotify:` link or an
+   * open.spotify.com link. Links inside rendered blocks and popovers are
+   * skipped so cards don't open popovers of their own.
+   */
+  handleSpotifyHover(event) {
+    const target = event.target.closest?.('.spotify-chip, a[href^="spotify:"], a[data-href^="spotify:"], a[href*="open.spotify.com"]');
+    if (!target || target.closest('.spotify-container, .spotify-hover-popover')) return;
+    if (this.hoverPopover && this.hoverPopover.targetEl === target) return;
+
+    const href = target.dataset.spotifyType
+      ? `spotify:${target.dataset.spotifyType}:${target.dataset.spotifyId}`
+      : target.getAttribute('data-href') || target.getAttribute('href');
+    const reference = this.parseSpotifyReference(href || '');
+    if (!reference || !ITEM_BLOCK_TYPES.includes(reference.type)) return;
+
+    const popover = new HoverPopover(this, target, 300);
+    popover.hoverEl.addClass('spotify-hover-popover');
+    const container = popover.hoverEl.createDiv({ cls: 'spotify-container', text: 'Loading...' });
+
+    // `preview` keeps the card's cover out of the vault
+    const config = { type: reference.type, id: reference.id, layout: 'card', preview: true };
+    this.fetchSpotifyData(config)
+      .then(item => this.renderSpotifyData(container, item, config))
+      .catch(error => this.renderError(container, error.message));
+  }
+
   // ===================== PARSERS =====================
 
-  parseCodeBlockConfig(source) {
-    const config = {};
-    const lines = source.split('\n').filter(line => line.trim());
-    for (const line of lines) {
-      const [key, value] = line.split(':').map(s => s.trim());
-      if (key && value) config[key] = value;
+  async parseCodeBlockConfig(source) {
+    const config = this.parseBlockYaml(source, CODE_BLOCK_SCHEMA);
+    if (LIBRARY_TYPES[config.type]) {
+      return this.parseLibraryConfig(config);
+    }
+    const libraryOption = LIBRARY_OPTIONS.find(option => option in config);
+    if (libraryOption) {
+      throw new Error(`"${libraryOption}" only works with ${Object.keys(LIBRARY_TYPES).join(', ')}`);
+    }
+    if (config.id && config.url) {
+      throw new Error('Use either "id" or "url", not both');
+    }
+
+    // `id` may also hold a URI or link; a plain ID needs `type` (or defaults to playlist)
+    const reference = config.url || config.id;
+    if (reference && !/^[a-zA-Z0-9]+$/.test(reference)) {
+      const resolved = await this.resolveSpotifyReference(reference);
+      if (config.type && config.type !== resolved.type) {
+        throw new Error(`The link is a Spotify ${resolved.type}, but the block has "type: ${config.type}"`);
+      }
+      if (!ITEM_BLOCK_TYPES.includes(resolved.type)) {
+        throw new Error(`Spotify ${resolved.type} links are not supported in spotify blocks`);
+      }
+      config.type = resolved.type;
+      config.id = resolved.id;
     }
+
     config.type = config.type || 'playlist';
-    config.id = config.id || (config.url ? this.extractIdFromUrl(config.url) : undefined);
     config.layout = config.layout || this.settings.defaultLayout;
-    config.limit = parseInt(config.limit) || this.settings.maxResults;
+    config.limit = config.limit || this.settings.maxResults;
+    config.offset = config.offset || 0;
     if (!config.id) throw new Error('No Spotify ID given');
     return config;
   }
 
-  parseSearchCodeBlockConfig(source) {
-    const config = { type: 'search' };
-    const lines = source.split('\n').filter(line => line.trim());
-    for (const line of lines) {
-      const [key, value] = line.split(':').map(s => s.trim());
-      if (key && value) config[key] = value;
+  parseLibraryConfig(config) {
+    if (config.id || config.url) {
+      throw new Error(`"type: ${config.type}" lists your library and takes no "id" or "url"`);
+    }
+    if (config.user) {
+      if (config.type !== 'my-playlists') {
+        throw new Error('"user" only works with "type: my-playlists"');
+      }
+      if (!/^[\w.-]+$/.test(config.user)) {
+        const reference = this.parseSpotifyReference(config.user);
+        if (reference?.type !== 'user') throw new Error(`Not a Spotify user: ${config.user}`);
+        config.user = reference.id;
+      }
     }
+    if ((config.since || config.until) && !['liked-tracks', 'saved-albums'].includes(config.type)) {
+      throw new Error('"since" and "until" only work with liked-tracks and saved-albums');
+    }
+    if ((config.after || config.before) && config.type !== 'recently-played') {
+      throw new Error('"after" and "before" only work with recently-played');
+    }
+    for (const key of ['after', 'before']) {
+      if (config[key]) config[key] = this.parseTimestamp(config[key]);
+    }
+    if (LIBRARY_TYPES[config.type].ranked) {
+      config.time_range = config.time_range || 'medium_term';
+    } else if (config.time_range) {
+      throw new Error('"time_range" only works with top-tracks and top-artists');
+    }
+    config.sort = config.sort || 'added';
+    config.layout = config.layout || this.settings.defaultLayout;
+    config.limit = config.limit || this.settings.maxResults;
+    config.offset = config.offset || 0;
+    return config;
+  }
+
+  // Milliseconds since the epoch; plain dates are local midnight
+  parseTimestamp(value) {
+    if (/^\d{10}$/.test(value)) return Number(value) * 1000;
+    if (/^\d{13}$/.test(value)) return Number(value);
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00`).getTime() : Date.parse(value);
+    if (Number.isNaN(time)) throw new Error(`Invalid date: ${value}`);
+    return time;
+  }
+
+  parseStatsCodeBlockConfig(source) {
+    const config = this.parseBlockYaml(source, STATS_BLOCK_SCHEMA);
+    if (config.days && (config.since || config.until)) {
+      throw new Error('Use either "days" or "since"/"until", not both');
+    }
+    if (config.days) {
+      // The last `days` days, including today
+      config.since = moment().subtract(config.days - 1, 'days').format('YYYY-MM-DD');
+    }
+    config.limit = config.limit || 10;
+    return config;
+  }
+
+  parseSearchCodeBlockConfig(source) {
+    const config = { type: 'search', ...this.parseBlockYaml(source, SEARCH_BLOCK_SCHEMA) };
     config.searchType = config.searchType || 'track';
     config.layout = config.layout || this.settings.defaultLayout;
-    config.limit = parseInt(config.limit) || this.settings.maxResults;
+    config.limit = config.limit || this.settings.maxResults;
     return config;
   }
 
+  /**
+   * Parses a code block as YAML and checks it against `schema`, reporting
+   * every unknown key and invalid value at once.
+   */
+  parseBlockYaml(source, schema) {
+    let raw;
+    try {
+      raw = source.trim() ? parseYaml(source) : {};
+    } catch (error) {
+      throw new Error(`Invalid YAML: ${error.message}`);
+    }
+    if (raw === null || raw === undefined) raw = {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('Code block must contain "key: value" lines');
+    }
+
+    const config = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(raw)) {
+      const rule = schema[key];
+      if (!rule) {
+        errors.push(`Unknown key "${key}" (allowed: ${Object.keys(schema).join(', ')})`);
+        continue;
+      }
+      if (value === null || value === undefined) continue;
+      // Unquoted dates like 2024-05-01 may come back as Date objects
+      if (value instanceof Date) {
+        const iso = value.toISOString();
+        config[key] = iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+        continue;
+      }
+      if (typeof value === 'object') {
+        errors.push(`"${key}" must be a single value`);
+        continue;
+      }
+
+      if (rule.enum) {
+        if (rule.enum.includes(String(value))) {
+          config[key] = String(value);
+        } else {
+          errors.push(`"${key}" must be one of ${rule.enum.join(', ')} (got "${value}")`);
+        }
+      } else if (rule.type === 'integer') {
+        const number = Number(value);
+        if (!Number.isInteger(number)) {
+          errors.push(`"${key}" must be a whole number (got "${value}")`);
+        } else if (number < rule.min || number > rule.max) {
+          errors.push(rule.max === undefined
+            ? `"${key}" must be at least ${rule.min} (got ${number})`
+            : `"${key}" must be between ${rule.min} and ${rule.max} (got ${number})`);
+        } else {
+          config[key] = number;
+        }
+      } else if (rule.type === 'boolean') {
+        if (typeof value === 'boolean') {
+          config[key] = value;
+        } else {
+          errors.push(`"${key}" must be true or false (got "${value}")`);
+        }
+      } else if (rule.pattern && !rule.pattern.test(String(value))) {
+        errors.push(`"${key}" ${rule.hint} (got "${value}")`);
+      } else {
+        config[key] = String(value);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid code block:\n${errors.map(e => `• ${e}`).join('\n')}`);
+    }
+    return config;
+  }
+
+  /**
+   * Combines the free-text `query` of a search block with its field filters
+   * into Spotify's search syntax, e.g. `blue artist:"Miles Davis" year:1959`.
+   */
+  buildSearchQuery(config) {
+    const parts = config.query ? [config.query.trim()] : [];
+    for (const filter of SEARCH_FILTERS) {
+      const value = config[filter];
+      if (!value) continue;
+      parts.push(`${filter}:${/\s/.test(value) ? `"${value}"` : value}`);
+    }
+    return parts.filter(Boolean).join(' ');
+  }
+
   parseInlineLink(href) {
-    const parts = href.replace('spotify:', '').split(':');
-    if (parts.length !== 2) throw new Error('Invalid Spotify link format. Expected: spotify:type:id');
-    const [type, id] = parts;
-    return { type, id, layout: 'inline' };
+    const reference = this.parseSpotifyReference(href);
+    if (!reference) throw new Error('Invalid Spotify link format. Expected: spotify:type:id');
+    return { type: reference.type, id: reference.id, layout: 'inline' };
   }
 
   extractIdFromUrl(url) {
-    const patterns = [
-      /spotify\.com\/track\/([a-zA-Z0-9]+)/,
-      /spotify\.com\/album\/([a-zA-Z0-9]+)/,
-      /spotify\.com\/artist\/([a-zA-Z0-9]+)/,
-      /spotify\.com\/playlist\/([a-zA-Z0-9]+)/
-    ];
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) return match[1];
+    const reference = this.parseSpotifyReference(url);
+    if (!reference) throw new Error('Could not extract ID from Spotify URL');
+    return reference.id;
+  }
+
+  /**
+   * Parses a `spotify:type:id` URI or an open.spotify.com link into
+   * `{ type, id }`. Handles localized (`/intl-xx/`) and embed links, legacy
+   * `/user/<name>/playlist/<id>` paths and share suffixes like `?si=`.
+   * Returns null for anything else, including short links.
+   */
+  parseSpotifyReference(input) {
+    const value = input.trim();
+
+    if (value.startsWith('spotify:')) {
+      const parts = value.split(':').slice(1);
+      // Legacy playlist URIs: spotify:user:<name>:playlist:<id>
+      if (parts[0] === 'user' && parts[2] === 'playlist') parts.splice(0, 2);
+      const [type, id] = parts;
+      if (parts.length !== 2 || !SPOTIFY_ITEM_TYPES.includes(type) || !id) return null;
+      return { type, id };
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return null;
+    }
+    if (!['open.spotify.com', 'play.spotify.com'].includes(url.hostname)) return null;
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    if (segments[0]?.startsWith('intl-')) segments.shift();
+    if (segments[0] === 'embed') segments.shift();
+    if (segments[0] === 'user' && segments[2] === 'playlist') segments.splice(0, 2);
+
+    const [type, id] = segments;
+    if (!SPOTIFY_ITEM_TYPES.includes(type) || !id) return null;
+    return { type, id: decodeURIComponent(id) };
+  }
+
+  isShortLink(input) {
+    try {
+      return SHORT_LINK_HOSTS.includes(new URL(input.trim()).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Like `parseSpotifyReference()`, but also follows spotify.link / spoti.fi
+   * short links. Throws when the input is not a Spotify reference.
+   */
+  async resolveSpotifyReference(input) {
+    const reference = this.parseSpotifyReference(input);
+    if (reference) return reference;
+    if (!this.isShortLink(input)) {
+      throw new Error(`Not a Spotify link or URI: ${input}`);
+    }
+
+    // Short links never change target, so cached resolutions never expire
+    const cacheKey = `shortlink:${input.trim()}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached.data;
+
+    // The short link page redirects to (or embeds) the full open.spotify.com link
+    const response = await requestUrl({ url: input.trim() });
+    for (const match of response.text.matchAll(/https:\/\/open\.spotify\.com\/[^"'\s<>]+/g)) {
+      const resolved = this.parseSpotifyReference(match[0].replace(/&amp;/g, '&'));
+      if (resolved) {
+        this.cache.set(cacheKey, 'shortlink', resolved);
+        return resolved;
+      }
     }
-    throw new Error('Could not extract ID from Spotify URL');
+    throw new Error(`Could not resolve Spotify short link: ${input}`);
   }
 
   // ===================== DATA FETCHING =====================
 
-  async fetchSpotifyData(config) {
-    const cacheKey = JSON.stringify(config);
+  getCacheKey(config) {
+    if (config.type === 'search') {
+      return `search:${config.searchType}:${config.limit}:${config.market || ''}:${config.query}`;
+    }
+    // Sorting and most date filters are applied when rendering, so they share one
+    // entry; `since` stops paging early, so those lists are kept apart
+    if (LIBRARY_TYPES[config.type]) {
+      const since = config.since ? `:since:${config.since}` : '';
+      return `${config.type}:${config.user || config.time_range || config.before || ''}${since}`;
+    }
+    return `${config.type}:${config.id}`;
+  }
+
+  getCacheTtl(type) {
+    const minutes = this.settings.cacheTtls[LIBRARY_TYPES[type] ? 'library' : type];
+    return minutes ? minutes * 60 * 1000 : this.settings.cacheTimeout;
+  }
+
+  /**
+   * Returns cached data when fresh. Stale data is returned right away when
+   * `onRevalidate` is given (and refreshed in the background), or used as a
+   * fallback when the network request fails, so notes still render offline.
+   */
+  async fetchSpotifyData(config, onRevalidate = null) {
+    const cacheKey = this.getCacheKey(config);
     const cached = this.cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+    if (cached && this.cache.isFresh(cached)) {
       return cached.data;
     }
 
-    let data;
-    try {
-      switch (config.type) {
-        case 'track':
-          data = await this.fetchTrack(config.id);
-          break;
-        case 'album':
-          data = await this.fetchAlbum(config.id);
-          break;
-        case 'artist':
-          data = await this.fetchArtist(config.id);
-          break;
-        case 'playlist':
-          data = await this.fetchPlaylist(config.id);
-          break;
-        case 'search':
-          data = await this.searchSpotify(config.query, config.searchType, config.limit);
-          break;
-        default:
-          throw new Error(`Unknown data type: ${config.type}`);
-      }
+    if (cached && onRevalidate) {
+      this.loadSharedData(cacheKey, config)
+        .then(onRevalidate)
+        .catch(error => console.warn('Could not refresh cached Spotify data:', error));
+      return cached.data;
+    }
 
-      this.cache.set(cacheKey, { data, timestamp: Date.now() });
-      return data;
+    try {
+      return await this.loadSharedData(cacheKey, config);
     } catch (error) {
+      if (cached) {
+        console.warn('Serving stale Spotify data:', error);
+        return cached.data;
+      }
       console.error('Error fetching Spotify data:', error);
       throw error;
     }
   }
 
+  // Blocks rendering the same item at once share one load instead of racing to fill the cache
+  loadSharedData(cacheKey, config) {
+    let pending = this.pendingLoads.get(cacheKey);
+    if (!pending) {
+      pending = this.loadSpotifyData(config)
+        .then(data => {
+          this.cache.set(cacheKey, config.type, data);
+          return data;
+        })
+        .finally(() => this.pendingLoads.delete(cacheKey));
+      this.pendingLoads.set(cacheKey, pending);
+    }
+    return pending;
+  }
+
+  async loadSpotifyData(config) {
+    switch (config.type) {
+      case 'track':
+        return await this.fetchTrack(config.id);
+      case 'album':
+        return await this.fetchAlbum(config.id);
+      case 'artist':
+        return await this.fetchArtist(config.id);
+      case 'playlist':
+        return await this.fetchPlaylist(config.id);
+      case 'show':
+        return await this.fetchShow(config.id);
+      case 'episode':
+        return await this.fetchEpisode(config.id);
+      case 'search':
+        return await this.searchSpotify(config.query, config.searchType, config.limit, config.market);
+      case 'liked-tracks':
+      case 'saved-albums':
+      case 'followed-artists':
+      case 'my-playlists':
+      case 'recently-played':
+      case 'top-tracks':
+      case 'top-artists':
+        return await this.fetchLibrary(config);
+      default:
+        throw new Error(`Unknown data type: ${config.type}`);
+    }
+  }
+
   async fetchTrack(id) {
-    return await this.makeSpotifyRequest(`/tracks/${id}`);
+    return await this.batchLoader.load('tracks', id);
   }
 
   async fetchAlbum(id) {
-    const [album, tracks] = await Promise.all([
-      this.makeSpotifyRequest(`/albums/${id}`),
-      this.makeSpotifyRequest(`/albums/${id}/tracks?limit=50`)
-    ]);
-    album.tracks = { items: tracks.items };
+    const album = await this.batchLoader.load('albums', id);
+    album.tracks.items = await this.fetchAllPages(album.tracks);
     return album;
   }
 
   async fetchArtist(id) {
     const [artist, topTracks, albums] = await Promise.all([
-      this.makeSpotifyRequest(`/artists/${id}`),
-      this.makeSpotifyRequest(`/artists/${id}/top-tracks?market=US`),
-      this.makeSpotifyRequest(`/artists/${id}/albums?include_groups=album,single&market=US&limit=20`)
+      this.batchLoader.load('artists', id),
+      this.makeSpotifyRequest(`/artists/${id}/top-tracks?market=${this.settings.market}`),
+      this.makeSpotifyRequest(`/artists/${id}/albums?include_groups=album,single&market=${this.settings.market}&limit=20`)
     ]);
     artist.topTracks = topTracks.tracks;
     artist.albums = albums.items;
@@ -281,15 +1024,184 @@ async authenticateSpotify() {
   }
 
   async fetchPlaylist(id) {
-    return await this.makeSpotifyRequest(`/playlists/${id}`);
+    const playlist = await this.makeSpotifyRequest(`/playlists/${id}`);
+    playlist.tracks.items = await this.fetchAllPages(playlist.tracks);
+    return playlist;
+  }
+
+  // The multi-ID /shows endpoint returns shows without their episodes
+  async fetchShow(id) {
+    const show = await this.makeSpotifyRequest(`/shows/${id}?market=${this.settings.market}`);
+    show.episodes.items = await this.fetchAllPages(show.episodes);
+    return show;
+  }
+
+  async fetchEpisode(id) {
+    return await this.batchLoader.load('episodes', id);
+  }
+
+  /**
+   * Loads every saved item of a library block as `{ addedAt, item }`.
+   * Playlists of other users (`user:` or the Default User ID setting when no
+   * account is connected) are public and work without a session.
+   */
+  async fetchLibrary(config) {
+    const { endpoint, itemType } = LIBRARY_TYPES[config.type];
+    let path = endpoint;
+    if (config.type === 'my-playlists' && (config.user || !this.isUserConnected())) {
+      const user = config.user || this.settings.defaultUserId;
+      if (!user) {
+        throw new Error('Connect your Spotify account or set a Default User ID in the plugin settings to list playlists');
+      }
+      path = `/users/${encodeURIComponent(user)}/playlists?limit=50`;
+    } else if (!this.isUserConnected()) {
+      throw new Error(`Connect your Spotify account in the plugin settings to show ${LIBRARY_TYPES[config.type].label.toLowerCase()}`);
+    }
+    if (config.time_range) path += `&time_range=${config.time_range}`;
+    // Spotify takes only one of after/before; `after` is applied when rendering
+    if (config.before) path += `&before=${config.before}`;
+
+    const response = await this.makeSpotifyRequest(path);
+    // /me/following wraps its page in an `artists` object
+    const items = await this.fetchAllPages(response.artists || response, {
+      // Spotify only keeps the last 50 played tracks
+      maxItems: config.type === 'recently-played' ? 50 : Infinity,
+      // Saved items come newest first, so older pages can't match `since`
+      stopWhen: config.since
+        ? entry => Boolean(entry.added_at) && entry.added_at.slice(0, config.since.length) < config.since
+        : null
+    });
+    return items.filter(Boolean).map(entry => ({
+      addedAt: entry.added_at || entry.played_at || null,
+      item: entry[itemType] || entry
+    }));
+  }
+
+  /**
+   * Collects the items of every page of a Spotify paging object.
+   * Offset-based pages are fetched a few at a time; cursor-based pages
+   * can only be followed one `next` link after another. Paging stops early
+   * once the last item collected matches `stopWhen`.
+   */
+  async fetchAllPages(page, options = {}) {
+    const { concurrency = 4, maxItems = Infinity, stopWhen = null } = options;
+    const items = [...page.items];
+    const done = () => items.length >= maxItems ||
+      (stopWhen && items.length > 0 && stopWhen(items[items.length - 1]));
+    if (!page.next || done()) return items.slice(0, maxItems);
+
+    if (page.cursors || typeof page.total !== 'number') {
+      let next = page.next;
+      while (next && !done()) {
+        let nextPage = await this.makeSpotifyRequest(next);
+        // Unwrap pages nested like the first one, e.g. { artists: page }
+        if (!nextPage.items) nextPage = Object.values(nextPage)[0];
+        items.push(...nextPage.items);
+        next = nextPage.next;
+      }
+      return items.slice(0, maxItems);
+    }
+
+    const total = Math.min(page.total, maxItems);
+    const pageSize = page.limit || page.items.length;
+    const nextUrl = new URL(page.next);
+    const urls = [];
+    for (let offset = page.offset + pageSize; offset < total; offset += pageSize) {
+      nextUrl.searchParams.set('offset', offset);
+      urls.push(nextUrl.toString());
+    }
+
+    for (let i = 0; i < urls.length; i += concurrency) {
+      const pages = await Promise.all(
+        urls.slice(i, i + concurrency).map(url => this.makeSpotifyRequest(url))
+      );
+      pages.forEach(nextPage => items.push(...nextPage.items));
+      if (done()) break;
+    }
+    return items.slice(0, maxItems);
   }
 
-  async searchSpotify(query, type = 'track', limit = 20) {
+  async searchSpotify(query, type = 'track', limit = 20, market = null) {
     const encodedQuery = encodeURIComponent(query);
-    return await this.makeSpotifyRequest(`/search?q=${encodedQuery}&type=${type}&limit=${limit}`);
+    // Shows and episodes need a market; other types only use one when asked to
+    if (!market && (type === 'show' || type === 'episode')) {
+      market = this.settings.market;
+    }
+    const marketParam = market ? `&market=${market.toUpperCase()}` : '';
+    return await this.makeSpotifyRequest(`/search?q=${encodedQuery}&type=${type}&limit=${limit}${marketParam}`);
+  }
+
+ /**
+  * Sends a Web API request through the shared request queue. Identical GET
+  * requests already in flight share one promise; rate limits (429), server
+  * errors (5xx) and expired tokens (401) are retried.
+  */
+ makeSpotifyRequest(endpoint, method = 'GET', body = null) {
+  if (method !== 'GET') {
+    return this.requestWithRetries(endpoint, method, body);
+  }
+  
+  const pending = this.inFlightRequests.get(endpoint);
+  if (pending) return pending;
+  
+  const request = this.requestWithRetries(endpoint, method, body)
+    .finally(() => this.inFlightRequests.delete(endpoint));
+  this.inFlightRequests.set(endpoint, request);
+  return request;
+}
+
+ async requestWithRetries(endpoint, method, body) {
+  let refreshedToken = false;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // Checked when the request gets its turn, so queued requests fail fast too
+      return await this.requestQueue.run(async () => {
+        this.checkRateLimit();
+        return await this.sendSpotifyRequest(endpoint, method, body);
+      });
+    } catch (error) {
+      if (error.status === 401 && !refreshedToken) {
+        refreshedToken = true;
+        await this.invalidateAccessToken();
+        continue;
+      }
+      if (error.status === 429) {
+        const retryAfter = error.retryAfter || 1;
+        if (retryAfter > MAX_RETRY_AFTER_SECONDS) {
+          this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + retryAfter * 1000);
+          this.checkRateLimit();
+        }
+        // Pausing the queue holds back every other request as well
+        this.requestQueue.pause(retryAfter * 1000);
+        if (attempt < MAX_REQUEST_RETRIES) continue;
+      }
+      if (error.status >= 500 && attempt < MAX_REQUEST_RETRIES) {
+        const backoff = 2 ** attempt * 1000 + Math.random() * 250;
+        await new Promise(resolve => setTimeout(resolve, backoff));
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+ checkRateLimit() {
+  const wait = this.rateLimitedUntil - Date.now();
+  if (wait > 0) {
+    throw new Error(`Spotify rate limit reached, try again in ${Math.ceil(wait / 60000)} minutes`);
+  }
+}
+
+ async invalidateAccessToken() {
+  if (this.isUserConnected()) {
+    await this.refreshUserToken();
+  } else {
+    this.accessToken = null;
+    this.tokenExpiry = null;
   }
+}
 
- async makeSpotifyRequest(endpoint, method = 'GET', body = null) {
+ async sendSpotifyRequest(endpoint, method, body) {
   try {
     const accessToken = await this.getValidAccessToken();
     if (!accessToken) {
@@ -308,20 +1220,32 @@ async authenticateSpotify() {
       signal: controller.signal 
     };
     
-    if (body && (method === 'POST' || method === 'PUT')) {
-      options.body = JSON.stringify(body);
+    if (method === 'POST' || method === 'PUT') {
+      // Spotify rejects bodiless PUT/POST requests without a Content-Length
+      options.body = body ? JSON.stringify(body) : '';
     }
     
-    const response = await fetch(`https://api.spotify.com/v1${endpoint}`, options);
+    // Paging `next` links are already absolute URLs
+    const url = endpoint.startsWith('https://') ? endpoint : `https://api.spotify.com/v1${endpoint}`;
+    const response = await fetch(url, options);
     clearTimeout(timeoutId);
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Spotify API Error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+      const error = new Error(`Spotify API Error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+      error.status = response.status;
+      error.retryAfter = parseInt(response.headers.get('Retry-After')) || null;
+      throw error;
     }
     
     if (response.status === 204) return null;
-    return await response.json();
+    // Player endpoints may answer 200 with an empty or non-JSON body
+    const text = await response.text();
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      return null;
+    }
     
   } catch (error) {
     if (error.name === 'AbortError') {
@@ -331,1231 +1255,3958 @@ async authenticateSpotify() {
   }
 }
 
-  // ===================== UTILITY METHODS =====================
+  // ===================== INSERTING =====================
 
-  formatDuration(ms) {
-    const minutes = Math.floor(ms / 60000);
-    const seconds = Math.floor((ms % 60000) / 1000);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  }
+  registerInsertCommands() {
+    this.registerEditorSuggest(new SpotifyLinkSuggest(this.app, this));
+    this.registerEvent(this.app.workspace.on('editor-paste', this.handleEditorPaste.bind(this)));
 
-  emptyElement(el) {
-    while (el.firstChild) {
-      el.removeChild(el.firstChild);
-    }
+    this.addCommand({
+      id: 'search-and-insert',
+      name: 'Search and insert',
+      editorCallback: (editor) => {
+        new SpotifySearchModal(this.app, this, (item) => {
+          editor.replaceSelection(this.formatSpotifyItem(item, this.settings.insertFormat));
+        }).open();
+      }
+    });
   }
 
-  // ===================== RENDERING =====================
-// ===================== FIXED RENDERING METHODS =====================
+  handleEditorPaste(evt, editor) {
+    const format = this.settings.pasteConversion;
+    if (format === 'off' || evt.defaultPrevented) return;
 
-renderSpotifyData(el, data, config) {
-  this.emptyElement(el);
-  const layout = config.layout || this.settings.defaultLayout;
-  el.className = `spotify-container spotify-layout-${layout}`;
-  
-  // Apply grid columns if using grid layout
-  if (layout === 'grid') {
-    el.style.setProperty('--grid-columns', this.settings.gridColumns);
+    const text = evt.clipboardData?.getData('text/plain')?.trim();
+    if (!text || /\s/.test(text)) return;
+    const reference = this.parseSpotifyReference(text);
+    if (reference ? !ITEM_BLOCK_TYPES.includes(reference.type) : !this.isShortLink(text)) return;
+
+    evt.preventDefault();
+    // Paste the raw link first, so undoing the conversion brings it back
+    const from = editor.getCursor('from');
+    editor.replaceSelection(text);
+    const to = editor.getCursor('to');
+    this.convertPastedLink(editor, text, format, from, to);
   }
-  
-  try {
-    switch (config.type) {
-      case 'track':
-        this.renderTrack(el, data, config);
-        break;
-      case 'album':
-        this.renderAlbum(el, data, config);
-        break;
-      case 'artist':
-        this.renderArtist(el, data, config);
-        break;
-      case 'playlist':
-        this.renderPlaylist(el, data, config);
-        break;
-      default:
-        this.renderError(el, `Unsupported type: ${config.type}`);
+
+  async convertPastedLink(editor, url, format, from, to) {
+    try {
+      const reference = await this.resolveSpotifyReference(url);
+      const item = format === 'markdown'
+        ? await this.fetchSpotifyData(reference)
+        : { uri: `spotify:${reference.type}:${reference.id}` };
+
+      // Give up if the pasted link was edited while the item was loading
+      if (editor.getRange(from, to) !== url) return;
+
+      let replacement = this.formatSpotifyItem(item, format);
+      if (format === 'codeblock' && from.ch > 0) {
+        replacement = '\n' + replacement;
+      }
+      this.replaceAsUndoStep(editor, replacement, from, to);
+    } catch (error) {
+      console.error('Could not convert pasted Spotify link:', error);
+      new Notice(`Spotify: could not convert the pasted link (${error.message})`);
     }
-  } catch (error) {
-    this.renderError(el, `Rendering error: ${error.message}`);
   }
-}
 
-renderTrack(el, track, config) {
-  const layout = config.layout || this.settings.defaultLayout;
-  
-  const trackEl = document.createElement('div');
-  trackEl.className = `spotify-track spotify-${layout}`;
-  
-  // Layout-specific styling
-  if (layout === 'inline') {
-    trackEl.style.display = 'inline-flex';
-    trackEl.style.alignItems = 'center';
-    trackEl.style.gap = '8px';
-  } else if (layout === 'list') {
-    trackEl.style.display = 'flex';
-    trackEl.style.alignItems = 'center';
-    trackEl.style.gap = '12px';
-    trackEl.style.padding = '8px';
-    trackEl.style.borderBottom = '1px solid var(--background-modifier-border)';
-  } else if (layout === 'card' || layout === 'grid') {
-    trackEl.style.display = 'flex';
-    trackEl.style.flexDirection = 'column';
-    trackEl.style.padding = '12px';
-    trackEl.style.border = '1px solid var(--background-modifier-border)';
-    trackEl.style.borderRadius = '8px';
+  // Keeps a replacement out of the previous undo step (CodeMirror would merge them otherwise)
+  replaceAsUndoStep(editor, text, from, to) {
+    const view = editor.cm;
+    if (!view?.dispatch) {
+      editor.replaceRange(text, from, to);
+      return;
+    }
+    view.dispatch({
+      changes: { from: editor.posToOffset(from), to: editor.posToOffset(to), insert: text },
+      annotations: isolateHistory.of('full')
+    });
   }
-  
-  // Album art
-  if (this.settings.showAlbumArt && track.album?.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = track.album.images[0].url;
-    img.className = 'spotify-album-art';
-    
-    if (layout === 'inline') {
-      img.style.width = '32px';
-      img.style.height = '32px';
-    } else if (layout === 'list') {
-      img.style.width = '48px';
-      img.style.height = '48px';
-    } else {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
+
+  /**
+   * Splits a type prefix like "ar:" or "artist:" off a search input.
+   * Without a prefix the search is for tracks.
+   */
+  parseSearchPrefix(input) {
+    const match = input.match(/^(\w+):\s*(.*)$/);
+    if (match) {
+      const searchType = SEARCH_PREFIXES[match[1]]
+        || (SEARCH_BLOCK_SCHEMA.searchType.enum.includes(match[1]) ? match[1] : null);
+      if (searchType) return { searchType, query: match[2] };
     }
-    
-    trackEl.appendChild(img);
+    return { searchType: 'track', query: input };
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-track-info';
-  
-  if (layout === 'list') {
-    info.style.flex = '1';
-    info.style.display = 'flex';
-    info.style.alignItems = 'center';
-    info.style.gap = '16px';
-  } else if (layout === 'inline') {
-    info.style.display = 'flex';
-    info.style.alignItems = 'center';
-    info.style.gap = '8px';
+
+  renderItemSuggestion(item, el) {
+    el.addClass('spotify-suggestion');
+    const images = item.images || item.album?.images || [];
+    if (images.length > 0) {
+      const img = el.createEl('img', { cls: 'spotify-suggestion-image' });
+      // The last image is the smallest
+      this.setImageSrc(img, images[images.length - 1].url);
+    }
+    const text = el.createDiv({ cls: 'spotify-suggestion-text' });
+    text.createDiv({ text: item.name, cls: 'spotify-suggestion-title' });
+    const subtitle = this.getItemSubtitle(item);
+    text.createEl('small', {
+      text: subtitle ? `${item.type} · ${subtitle}` : item.type,
+      cls: 'spotify-suggestion-subtitle'
+    });
   }
-  
-  const title = document.createElement('div');
-  title.className = 'spotify-track-title';
-  title.textContent = track.name;
-  title.style.fontWeight = 'bold';
-  
-  if (layout === 'list') {
-    title.style.flex = '1';
+
+  /**
+   * Searches for items to suggest while typing. Pasted Spotify links and
+   * URIs resolve to the linked item. Results go through the regular cache.
+   */
+  async searchItems(query, searchType, limit = 10) {
+    const reference = this.parseSpotifyReference(query);
+    if (reference && ITEM_BLOCK_TYPES.includes(reference.type)) {
+      return [await this.fetchSpotifyData(reference)];
+    }
+
+    // Every pause in typing searches a partial query; keeping those in the
+    // persistent cache would push out the item data it holds for blocks
+    const key = `${searchType}:${limit}:${query.toLowerCase()}`;
+    const cached = this.searchSuggestions.get(key);
+    if (cached && Date.now() - cached.timestamp < SEARCH_SUGGESTION_TTL) {
+      return cached.items;
+    }
+
+    const results = await this.searchSpotify(query, searchType, limit);
+    const items = (results[searchType + 's']?.items || []).filter(Boolean);
+    this.searchSuggestions.delete(key);
+    this.searchSuggestions.set(key, { items, timestamp: Date.now() });
+    if (this.searchSuggestions.size > MAX_SEARCH_SUGGESTIONS) {
+      this.searchSuggestions.delete(this.searchSuggestions.keys().next().value);
+    }
+    return items;
   }
-  
-  info.appendChild(title);
-  
-  if (this.settings.showArtist) {
-    const artist = document.createElement('div');
-    artist.className = 'spotify-track-artist';
-    artist.textContent = track.artists.map(a => a.name).join(', ');
-    artist.style.color = 'var(--text-muted)';
-    
-    if (layout === 'list') {
-      artist.style.flex = '1';
+
+  /**
+   * Returns a search function that waits until typing pauses for `delay` ms.
+   * Calls superseded by a later one never resolve, so stale results can't
+   * overwrite newer ones.
+   */
+  createDebouncedSearch(delay = 300) {
+    let timer = null;
+    return (query, searchType) => new Promise(resolve => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        try {
+          resolve(await this.searchItems(query, searchType));
+        } catch (error) {
+          console.error('Spotify search error:', error);
+          resolve([]);
+        }
+      }, delay);
+    });
+  }
+
+  // ===================== MUSIC NOTES =====================
+
+  registerNoteCommands() {
+    this.addCommand({
+      id: 'create-note',
+      name: 'Create note from Spotify item',
+      callback: () => {
+        new SpotifySearchModal(this.app, this, (item) => this.createNoteFromItem(item)).open();
+      }
+    });
+
+    this.addCommand({
+      id: 'refresh-notes',
+      name: 'Refresh metadata of music notes',
+      callback: () => this.refreshMusicNotes()
+    });
+  }
+
+  /**
+   * Creates a note for a Spotify item from the note template and adds its
+   * metadata as properties. Opens the existing note instead if one with the
+   * same `spotify_id` is already in the vault.
+   */
+  async createNoteFromItem(reference) {
+    try {
+      const existing = this.findNoteForItem(reference.id);
+      if (existing) {
+        new Notice(`A note for this ${reference.type} already exists: ${existing.basename}`);
+        await this.app.workspace.getLeaf().openFile(existing);
+        return;
+      }
+
+      const item = await this.fetchSpotifyData({ type: reference.type, id: reference.id });
+      const properties = await this.getNotePropertiesWithCover(item);
+      const values = this.getTemplateValues(item, properties);
+      const template = await this.loadNoteTemplate();
+
+      const folder = normalizePath(this.settings.noteFolder.trim() || '/');
+      if (folder !== '/' && !this.app.vault.getAbstractFileByPath(folder)) {
+        await this.app.vault.createFolder(folder);
+      }
+      const filename = this.sanitizeFilename(this.fillTemplate(this.settings.noteFilename, values)) || item.id;
+      const file = await this.app.vault.create(this.getAvailableNotePath(folder, filename), this.fillTemplate(template, values));
+      await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+        Object.assign(frontmatter, properties);
+      });
+
+      await this.app.workspace.getLeaf().openFile(file);
+      new Notice(`Created note "${file.basename}"`);
+    } catch (error) {
+      new Notice(`✗ Could not create note: ${error.message}`);
     }
-    
-    info.appendChild(artist);
   }
-  
-  if (this.settings.showAlbum && track.album) {
-    const album = document.createElement('div');
-    album.className = 'spotify-track-album';
-    album.textContent = track.album.name;
-    album.style.color = 'var(--text-muted)';
-    album.style.fontSize = '0.9em';
-    
-    if (layout === 'list') {
-      album.style.flex = '1';
+
+  findNoteForItem(id) {
+    return this.app.vault.getMarkdownFiles().find(file => {
+      const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+      if (!frontmatter) return false;
+      return frontmatter.spotify_id === id || this.getNoteReference(frontmatter)?.id === id;
+    });
+  }
+
+  /**
+   * Updates popularity, followers, track counts, genres and cover of every
+   * note with a `spotify_id` or `spotify_url` property and shows what changed.
+   */
+  async refreshMusicNotes() {
+    const notes = [];
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+      const reference = frontmatter && this.getNoteReference(frontmatter);
+      if (reference) notes.push({ file, reference });
     }
-    
-    info.appendChild(album);
+    if (notes.length === 0) {
+      new Notice('No notes with a spotify_id or spotify_url property found');
+      return;
+    }
+
+    const notice = new Notice(`Refreshing ${notes.length} music notes...`, 0);
+    // Fetched all at once so lookups of the same type share batch requests
+    const results = await Promise.all(notes.map(async ({ file, reference }) => {
+      try {
+        const item = await this.fetchNoteMetadata(reference);
+        const properties = await this.getNotePropertiesWithCover(item);
+        const changes = [];
+        await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+          for (const key of REFRESHED_PROPERTIES) {
+            if (!(key in properties)) continue;
+            if (JSON.stringify(frontmatter[key]) === JSON.stringify(properties[key])) continue;
+            changes.push({ key, from: frontmatter[key], to: properties[key] });
+            frontmatter[key] = properties[key];
+          }
+        });
+        return { file, changes };
+      } catch (error) {
+        return { file, error: error.message };
+      }
+    }));
+    notice.hide();
+
+    new SpotifyRefreshReportModal(this.app, results).open();
   }
-  
-  if (this.settings.showDuration && track.duration_ms) {
-    const duration = document.createElement('div');
-    duration.className = 'spotify-track-duration';
-    duration.textContent = this.formatDuration(track.duration_ms);
-    duration.style.color = 'var(--text-muted)';
-    duration.style.fontSize = '0.9em';
-    
-    if (layout === 'list') {
-      duration.style.marginLeft = 'auto';
+
+  /**
+   * Reads the item a note is about from its properties. `spotify_id` needs a
+   * `spotify_type` next to it, `spotify_url` can be a link or a URI.
+   */
+  getNoteReference(frontmatter) {
+    if (frontmatter.spotify_url) {
+      const reference = this.parseSpotifyReference(String(frontmatter.spotify_url));
+      if (reference) return reference;
     }
-    
-    info.appendChild(duration);
+    if (frontmatter.spotify_id && ITEM_BLOCK_TYPES.includes(frontmatter.spotify_type)) {
+      return { type: frontmatter.spotify_type, id: String(frontmatter.spotify_id) };
+    }
+    return null;
   }
-  
-  if (this.settings.showPopularity && track.popularity) {
-    const popularity = document.createElement('div');
-    popularity.className = 'spotify-track-popularity';
-    popularity.textContent = `${track.popularity}%`;
-    popularity.style.color = 'var(--text-muted)';
-    popularity.style.fontSize = '0.8em';
-    info.appendChild(popularity);
+
+  /**
+   * Loads just the item itself, skipping the cache and the track lists that
+   * `fetchSpotifyData()` adds, so refreshing a whole vault stays cheap.
+   */
+  async fetchNoteMetadata({ type, id }) {
+    if (type === 'playlist') {
+      return await this.makeSpotifyRequest(`/playlists/${id}?fields=id,type,uri,name,owner,followers,images,tracks(total)`);
+    }
+    if (!BATCH_LIMITS[`${type}s`]) throw new Error(`Unsupported type: ${type}`);
+    return await this.batchLoader.load(`${type}s`, id);
   }
-  
-  trackEl.appendChild(info);
-  
-  // Apply grid layout if needed
-  if (layout === 'grid') {
-    el.style.display = 'grid';
-    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
-    el.style.gap = '16px';
+
+  async loadNoteTemplate() {
+    const path = this.settings.noteTemplatePath.trim();
+    if (!path) return DEFAULT_NOTE_TEMPLATE;
+
+    const file = this.app.vault.getAbstractFileByPath(normalizePath(path.endsWith('.md') ? path : `${path}.md`));
+    if (!(file instanceof TFile)) throw new Error(`Template not found: ${path}`);
+    return await this.app.vault.read(file);
   }
-  
-  el.appendChild(trackEl);
-}
 
-renderAlbum(el, album, config) {
-  const layout = config.layout || this.settings.defaultLayout;
-  
-  const albumEl = document.createElement('div');
-  albumEl.className = `spotify-album spotify-${layout}`;
-  
-  // Layout-specific styling
-  if (layout === 'card' || layout === 'grid') {
-    albumEl.style.display = 'flex';
-    albumEl.style.flexDirection = 'column';
-    albumEl.style.padding = '12px';
-    albumEl.style.border = '1px solid var(--background-modifier-border)';
-    albumEl.style.borderRadius = '8px';
+  /**
+   * Frontmatter properties written to music notes. Lists stay lists so they
+   * work in Dataview queries.
+   */
+  getNoteProperties(item) {
+    const properties = {
+      spotify_id: item.id,
+      spotify_type: item.type,
+      spotify_url: this.getSpotifyWebUrl(item)
+    };
+    if (item.artists) properties.artists = item.artists.map(a => a.name);
+    if (item.album) properties.album = item.album.name;
+    const releaseDate = item.release_date || item.album?.release_date;
+    if (releaseDate) properties.release_date = releaseDate;
+    if (Array.isArray(item.genres)) properties.genres = item.genres;
+    if (typeof item.popularity === 'number') properties.popularity = item.popularity;
+    if (item.followers) properties.followers = item.followers.total;
+    const totalTracks = item.total_tracks ?? item.tracks?.total ?? item.total_episodes;
+    if (typeof totalTracks === 'number') properties.total_tracks = totalTracks;
+    const cover = this.getCoverImage(item.images || item.album?.images);
+    if (cover) properties.cover = cover.url;
+    return properties;
   }
-  
-  const header = document.createElement('div');
-  header.className = 'spotify-album-header';
-  header.style.display = 'flex';
-  header.style.gap = '12px';
-  header.style.alignItems = 'flex-start';
-  
-  if (this.settings.showAlbumArt && album.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = album.images[0].url;
-    img.className = 'spotify-album-art';
-    
-    if (layout === 'card' || layout === 'grid') {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
-      img.style.marginBottom = '12px';
-    } else {
-      img.style.width = '80px';
-      img.style.height = '80px';
-      img.style.objectFit = 'cover';
+
+  /**
+   * `getNoteProperties()` with `cover` pointing to the downloaded file when
+   * covers are downloaded into the vault.
+   */
+  async getNotePropertiesWithCover(item) {
+    const properties = this.getNoteProperties(item);
+    if (this.settings.downloadCovers && properties.cover) {
+      properties.cover = await this.covers.download(properties.cover);
     }
-    
-    header.appendChild(img);
+    return properties;
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-album-info';
-  info.style.flex = '1';
-  
-  const title = document.createElement('h3');
-  title.className = 'spotify-album-title';
-  title.textContent = album.name;
-  title.style.margin = '0 0 8px 0';
-  title.style.fontWeight = 'bold';
-  info.appendChild(title);
-  
-  if (this.settings.showArtist) {
-    const artist = document.createElement('div');
-    artist.className = 'spotify-album-artist';
-    artist.textContent = album.artists.map(a => a.name).join(', ');
-    artist.style.color = 'var(--text-muted)';
-    artist.style.marginBottom = '4px';
-    info.appendChild(artist);
+
+  getTemplateValues(item, properties) {
+    const cover = properties.cover;
+    const isLocalCover = !!cover && !/^https?:/.test(cover);
+    return {
+      name: item.name,
+      type: item.type,
+      id: item.id,
+      artists: this.getItemSubtitle(item),
+      album: properties.album,
+      release_date: properties.release_date,
+      genres: properties.genres?.join(', '),
+      popularity: properties.popularity,
+      followers: properties.followers,
+      total_tracks: properties.total_tracks,
+      description: item.description,
+      tracklist: this.formatTracklist(item),
+      cover,
+      cover_embed: !cover ? '' : isLocalCover ? `![[${cover}]]` : `![](${cover})`,
+      spotify_url: properties.spotify_url,
+      spotify_uri: item.uri
+    };
   }
-  
-  const releaseDate = document.createElement('div');
-  releaseDate.className = 'spotify-album-release-date';
-  releaseDate.textContent = `Released: ${album.release_date}`;
-  releaseDate.style.color = 'var(--text-muted)';
-  releaseDate.style.fontSize = '0.9em';
-  releaseDate.style.marginBottom = '4px';
-  info.appendChild(releaseDate);
-  
-  const trackCount = document.createElement('div');
-  trackCount.className = 'spotify-album-track-count';
-  trackCount.textContent = `${album.total_tracks} tracks`;
-  trackCount.style.color = 'var(--text-muted)';
-  trackCount.style.fontSize = '0.9em';
-  info.appendChild(trackCount);
-  
-  header.appendChild(info);
-  albumEl.appendChild(header);
-  
-  // Render tracks if available and not card layout
-  if (album.tracks?.items?.length > 0 && layout !== 'card') {
-    const tracksList = document.createElement('div');
-    tracksList.className = `spotify-album-tracks`;
-    tracksList.style.marginTop = '16px';
-    
-    // Apply max results limit
-    const tracksToShow = album.tracks.items.slice(0, this.settings.maxResults);
-    
-    tracksToShow.forEach((track, index) => {
-      const trackItem = document.createElement('div');
-      trackItem.className = 'spotify-album-track-item';
-      trackItem.style.display = 'flex';
-      trackItem.style.alignItems = 'center';
-      trackItem.style.padding = '4px 0';
-      trackItem.style.borderBottom = '1px solid var(--background-modifier-border-light)';
-      
-      const trackNumber = document.createElement('div');
-      trackNumber.className = 'spotify-track-number';
-      trackNumber.textContent = (index + 1).toString();
-      trackNumber.style.width = '24px';
-      trackNumber.style.color = 'var(--text-muted)';
-      trackNumber.style.fontSize = '0.9em';
-      trackItem.appendChild(trackNumber);
-      
-      const trackInfo = document.createElement('div');
-      trackInfo.className = 'spotify-track-info';
-      trackInfo.style.flex = '1';
-      
-      const trackTitle = document.createElement('div');
-      trackTitle.className = 'spotify-track-title';
-      trackTitle.textContent = track.name;
-      trackTitle.style.fontWeight = '500';
-      trackInfo.appendChild(trackTitle);
-      
-      const trackArtist = document.createElement('div');
-      trackArtist.className = 'spotify-track-artist';
-      trackArtist.textContent = track.artists.map(a => a.name).join(', ');
-      trackArtist.style.color = 'var(--text-muted)';
-      trackArtist.style.fontSize = '0.9em';
-      trackInfo.appendChild(trackArtist);
-      
-      trackItem.appendChild(trackInfo);
-
-      if (this.settings.showDuration && track.duration_ms) {
-        const duration = document.createElement('div');
-        duration.className = 'spotify-track-duration';
-        duration.textContent = this.formatDuration(track.duration_ms);
-        duration.style.color = 'var(--text-muted)';
-        duration.style.fontSize = '0.9em';
-        trackItem.appendChild(duration);
-      }
-      
-      tracksList.appendChild(trackItem);
+
+  formatTracklist(item) {
+    const formatTrack = (track, index) => {
+      const artists = item.type === 'album' ? '' : ` – ${this.getItemSubtitle(track)}`;
+      return `${index + 1}. ${track.name}${artists} (${this.formatDuration(track.duration_ms)})`;
+    };
+
+    switch (item.type) {
+      case 'album':
+        return item.tracks.items.map(formatTrack).join('\n');
+      case 'playlist':
+        return item.tracks.items.map(entry => entry.track).filter(Boolean).map(formatTrack).join('\n');
+      case 'artist':
+        return (item.topTracks || []).map(formatTrack).join('\n');
+      case 'show':
+        return item.episodes.items.filter(Boolean).map(episode => `- ${episode.release_date} ${episode.name}`).join('\n');
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Replaces `{{placeholder}}` with its value. Unknown placeholders are kept
+   * so they can be filled in by other template plugins.
+   */
+  fillTemplate(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? String(values[key] ?? '') : match));
+  }
+
+  sanitizeFilename(name) {
+    return name.replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  getAvailableNotePath(folder, filename) {
+    const prefix = folder === '/' ? '' : `${folder}/`;
+    let path = `${prefix}${filename}.md`;
+    for (let i = 2; this.app.vault.getAbstractFileByPath(path); i++) {
+      path = `${prefix}${filename} ${i}.md`;
+    }
+    return path;
+  }
+
+  // ===================== PLAYBACK =====================
+
+  registerPlaybackCommands() {
+    const commands = [
+      ['toggle-playback', 'Play / pause', () => this.togglePlayback()],
+      ['next-track', 'Next track', () => this.playerRequest('/next', 'POST')],
+      ['previous-track', 'Previous track', () => this.playerRequest('/previous', 'POST')],
+      ['toggle-shuffle', 'Toggle shuffle', () => this.toggleShuffle()],
+      ['cycle-repeat', 'Cycle repeat mode', () => this.cycleRepeat()],
+      ['volume-up', 'Volume up', () => this.changeVolume(10)],
+      ['volume-down', 'Volume down', () => this.changeVolume(-10)]
+    ];
+    for (const [id, name, action] of commands) {
+      this.addCommand({ id, name, callback: () => this.runPlayerAction(action) });
+    }
+
+    this.addCommand({
+      id: 'transfer-playback',
+      name: 'Transfer playback to device',
+      callback: () => new SpotifyDeviceModal(this.app, this).open()
     });
-    
-    albumEl.appendChild(tracksList);
   }
-  
-  // Apply grid layout if needed
-  if (layout === 'grid') {
-    el.style.display = 'grid';
-    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
-    el.style.gap = '16px';
+
+  async runPlayerAction(action) {
+    try {
+      await action();
+      // Spotify takes a moment to report the new player state
+      setTimeout(() => this.updateNowPlaying(), 500);
+    } catch (error) {
+      console.error('Spotify playback error:', error);
+      new Notice(`Spotify: ${error.message}`);
+    }
   }
-  
-  el.appendChild(albumEl);
-}
-  // Add these methods to your SpotifyPlugin class after the renderAlbum method
 
-renderPlaylist(el, playlist, config) {
-  const layout = config.layout || this.settings.defaultLayout;
-  
-  const playlistEl = document.createElement('div');
-  playlistEl.className = `spotify-playlist spotify-${layout}`;
-  
-  // Layout-specific styling
-  if (layout === 'card' || layout === 'grid') {
-    playlistEl.style.display = 'flex';
-    playlistEl.style.flexDirection = 'column';
-    playlistEl.style.padding = '12px';
-    playlistEl.style.border = '1px solid var(--background-modifier-border)';
-    playlistEl.style.borderRadius = '8px';
+  async playerRequest(path, method = 'GET', body = null) {
+    if (!this.isUserConnected()) {
+      throw new Error('Connect your Spotify account in the plugin settings to control playback');
+    }
+    return await this.makeSpotifyRequest(`/me/player${path}`, method, body);
   }
-  
-  const header = document.createElement('div');
-  header.className = 'spotify-playlist-header';
-  header.style.display = 'flex';
-  header.style.gap = '12px';
-  header.style.alignItems = 'flex-start';
-  
-  if (this.settings.showAlbumArt && playlist.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = playlist.images[0].url;
-    img.className = 'spotify-playlist-art';
-    
-    if (layout === 'card' || layout === 'grid') {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
-      img.style.marginBottom = '12px';
-    } else {
-      img.style.width = '80px';
-      img.style.height = '80px';
-      img.style.objectFit = 'cover';
+
+  async getPlaybackState() {
+    const state = await this.playerRequest('');
+    if (!state) {
+      throw new Error('No active device. Start Spotify on a device or transfer playback to one.');
     }
-    
-    header.appendChild(img);
+    return state;
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-playlist-info';
-  info.style.flex = '1';
-  
-  const title = document.createElement('h3');
-  title.className = 'spotify-playlist-title';
-  title.textContent = playlist.name;
-  title.style.margin = '0 0 8px 0';
-  title.style.fontWeight = 'bold';
-  info.appendChild(title);
-  
-  const owner = document.createElement('div');
-  owner.className = 'spotify-playlist-owner';
-  owner.textContent = `by ${playlist.owner.display_name}`;
-  owner.style.color = 'var(--text-muted)';
-  owner.style.marginBottom = '4px';
-  info.appendChild(owner);
-  
-  if (playlist.description) {
-    const description = document.createElement('div');
-    description.className = 'spotify-playlist-description';
-    description.textContent = playlist.description;
-    description.style.color = 'var(--text-muted)';
-    description.style.fontSize = '0.9em';
-    description.style.marginBottom = '4px';
-    info.appendChild(description);
+
+  async togglePlayback() {
+    const state = await this.getPlaybackState();
+    await this.playerRequest(state.is_playing ? '/pause' : '/play', 'PUT');
   }
-  
-  const trackCount = document.createElement('div');
-  trackCount.className = 'spotify-playlist-track-count';
-  trackCount.textContent = `${playlist.tracks.total} tracks`;
-  trackCount.style.color = 'var(--text-muted)';
-  trackCount.style.fontSize = '0.9em';
-  info.appendChild(trackCount);
-  
-  header.appendChild(info);
-  playlistEl.appendChild(header);
-  
-  // Render tracks if available and not card layout
-  if (playlist.tracks?.items?.length > 0 && layout !== 'card') {
-    const tracksList = document.createElement('div');
-    tracksList.className = `spotify-playlist-tracks`;
-    tracksList.style.marginTop = '16px';
-    
-    // Apply max results limit
-    const tracksToShow = playlist.tracks.items.slice(0, this.settings.maxResults);
-    
-    tracksToShow.forEach((trackItem, index) => {
-      const track = trackItem.track;
-      if (!track) return; // Skip if track is null
-      
-      const trackElement = document.createElement('div');
-      trackElement.className = 'spotify-playlist-track-item';
-      trackElement.style.display = 'flex';
-      trackElement.style.alignItems = 'center';
-      trackElement.style.padding = '4px 0';
-      trackElement.style.borderBottom = '1px solid var(--background-modifier-border-light)';
-      
-      const trackNumber = document.createElement('div');
-      trackNumber.className = 'spotify-track-number';
-      trackNumber.textContent = (index + 1).toString();
-      trackNumber.style.width = '24px';
-      trackNumber.style.color = 'var(--text-muted)';
-      trackNumber.style.fontSize = '0.9em';
-      trackElement.appendChild(trackNumber);
-      
-      const trackInfo = document.createElement('div');
-      trackInfo.className = 'spotify-track-info';
-      trackInfo.style.flex = '1';
-      
-      const trackTitle = document.createElement('div');
-      trackTitle.className = 'spotify-track-title';
-      trackTitle.textContent = track.name;
-      trackTitle.style.fontWeight = '500';
-      trackInfo.appendChild(trackTitle);
-      
-      const trackArtist = document.createElement('div');
-      trackArtist.className = 'spotify-track-artist';
-      trackArtist.textContent = track.artists.map(a => a.name).join(', ');
-      trackArtist.style.color = 'var(--text-muted)';
-      trackArtist.style.fontSize = '0.9em';
-      trackInfo.appendChild(trackArtist);
-      
-      trackElement.appendChild(trackInfo);
-
-      if (this.settings.showDuration && track.duration_ms) {
-        const duration = document.createElement('div');
-        duration.className = 'spotify-track-duration';
-        duration.textContent = this.formatDuration(track.duration_ms);
-        duration.style.color = 'var(--text-muted)';
-        duration.style.fontSize = '0.9em';
-        trackElement.appendChild(duration);
-      }
-      
-      tracksList.appendChild(trackElement);
-    });
-    
-    playlistEl.appendChild(tracksList);
+
+  async toggleShuffle() {
+    const state = await this.getPlaybackState();
+    const shuffle = !state.shuffle_state;
+    await this.playerRequest(`/shuffle?state=${shuffle}`, 'PUT');
+    new Notice(`Shuffle ${shuffle ? 'on' : 'off'}`);
   }
-  
-  // Apply grid layout if needed
-  if (layout === 'grid') {
-    el.style.display = 'grid';
-    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
-    el.style.gap = '16px';
+
+  async cycleRepeat() {
+    const modes = ['off', 'context', 'track'];
+    const state = await this.getPlaybackState();
+    const next = modes[(modes.indexOf(state.repeat_state) + 1) % modes.length];
+    await this.playerRequest(`/repeat?state=${next}`, 'PUT');
+    new Notice(`Repeat: ${next}`);
   }
-  
-  el.appendChild(playlistEl);
-}
 
-renderArtist(el, artist, config) {
-  const layout = config.layout || this.settings.defaultLayout;
-  
-  const artistEl = document.createElement('div');
-  artistEl.className = `spotify-artist spotify-${layout}`;
-  
-  // Layout-specific styling
-  if (layout === 'card' || layout === 'grid') {
-    artistEl.style.display = 'flex';
-    artistEl.style.flexDirection = 'column';
-    artistEl.style.padding = '12px';
-    artistEl.style.border = '1px solid var(--background-modifier-border)';
-    artistEl.style.borderRadius = '8px';
+  async changeVolume(delta) {
+    const state = await this.getPlaybackState();
+    if (state.device.supports_volume === false) {
+      throw new Error(`${state.device.name} does not support volume control`);
+    }
+    const volume = Math.max(0, Math.min(100, state.device.volume_percent + delta));
+    await this.playerRequest(`/volume?volume_percent=${volume}`, 'PUT');
+    new Notice(`Volume ${volume}%`);
   }
-  
-  const header = document.createElement('div');
-  header.className = 'spotify-artist-header';
-  header.style.display = 'flex';
-  header.style.gap = '12px';
-  header.style.alignItems = 'flex-start';
-  
-  if (this.settings.showAlbumArt && artist.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = artist.images[0].url;
-    img.className = 'spotify-artist-art';
-    
-    if (layout === 'card' || layout === 'grid') {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
-      img.style.borderRadius = '50%';
-      img.style.marginBottom = '12px';
+
+  async getPlaybackDevices() {
+    const data = await this.playerRequest('/devices');
+    return data?.devices || [];
+  }
+
+  async playUri(uri, context = null) {
+    const type = uri.split(':')[1];
+    let body;
+    if (type === 'track' || type === 'episode') {
+      if (Array.isArray(context)) {
+        body = { uris: context, offset: { uri } };
+      } else if (context) {
+        body = { context_uri: context, offset: { uri } };
+      } else {
+        body = { uris: [uri] };
+      }
     } else {
-      img.style.width = '80px';
-      img.style.height = '80px';
-      img.style.objectFit = 'cover';
-      img.style.borderRadius = '50%';
+      body = { context_uri: uri };
     }
-    
-    header.appendChild(img);
+    await this.playerRequest('/play', 'PUT', body);
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-artist-info';
-  info.style.flex = '1';
-  
-  const title = document.createElement('h3');
-  title.className = 'spotify-artist-title';
-  title.textContent = artist.name;
-  title.style.margin = '0 0 8px 0';
-  title.style.fontWeight = 'bold';
-  info.appendChild(title);
-  
-  const followers = document.createElement('div');
-  followers.className = 'spotify-artist-followers';
-  followers.textContent = `${artist.followers.total.toLocaleString()} followers`;
-  followers.style.color = 'var(--text-muted)';
-  followers.style.marginBottom = '4px';
-  info.appendChild(followers);
-  
-  if (this.settings.showPopularity && artist.popularity) {
-    const popularity = document.createElement('div');
-    popularity.className = 'spotify-artist-popularity';
-    popularity.textContent = `Popularity: ${artist.popularity}%`;
-    popularity.style.color = 'var(--text-muted)';
-    popularity.style.fontSize = '0.9em';
-    popularity.style.marginBottom = '4px';
-    info.appendChild(popularity);
+
+  async queueUri(uri) {
+    await this.playerRequest(`/queue?uri=${encodeURIComponent(uri)}`, 'POST');
   }
-  
-  if (this.settings.showGenres && artist.genres?.length > 0) {
-    const genres = document.createElement('div');
-    genres.className = 'spotify-artist-genres';
-    genres.textContent = `Genres: ${artist.genres.join(', ')}`;
-    genres.style.color = 'var(--text-muted)';
-    genres.style.fontSize = '0.9em';
-    info.appendChild(genres);
+
+  async transferPlayback(deviceId) {
+    await this.playerRequest('', 'PUT', { device_ids: [deviceId], play: true });
   }
-  
-  header.appendChild(info);
-  artistEl.appendChild(header);
-  
-  // Render top tracks if available and not card layout
-  if (artist.topTracks?.length > 0 && layout !== 'card') {
-    const tracksSection = document.createElement('div');
-    tracksSection.className = 'spotify-artist-top-tracks';
-    tracksSection.style.marginTop = '16px';
-    
-    const tracksTitle = document.createElement('h4');
-    tracksTitle.textContent = 'Top Tracks';
-    tracksTitle.style.margin = '0 0 8px 0';
-    tracksTitle.style.fontWeight = 'bold';
-    tracksSection.appendChild(tracksTitle);
-    
-    const tracksList = document.createElement('div');
-    tracksList.className = 'spotify-artist-tracks-list';
-    
-    // Apply max results limit
-    const tracksToShow = artist.topTracks.slice(0, Math.min(10, this.settings.maxResults));
-    
-    tracksToShow.forEach((track, index) => {
-      const trackElement = document.createElement('div');
-      trackElement.className = 'spotify-artist-track-item';
-      trackElement.style.display = 'flex';
-      trackElement.style.alignItems = 'center';
-      trackElement.style.padding = '4px 0';
-      trackElement.style.borderBottom = '1px solid var(--background-modifier-border-light)';
-      
-      const trackNumber = document.createElement('div');
-      trackNumber.className = 'spotify-track-number';
-      trackNumber.textContent = (index + 1).toString();
-      trackNumber.style.width = '24px';
-      trackNumber.style.color = 'var(--text-muted)';
-      trackNumber.style.fontSize = '0.9em';
-      trackElement.appendChild(trackNumber);
-      
-      const trackInfo = document.createElement('div');
-      trackInfo.className = 'spotify-track-info';
-      trackInfo.style.flex = '1';
-      
-      const trackTitle = document.createElement('div');
-      trackTitle.className = 'spotify-track-title';
-      trackTitle.textContent = track.name;
-      trackTitle.style.fontWeight = '500';
-      trackInfo.appendChild(trackTitle);
-      
-      const trackAlbum = document.createElement('div');
-      trackAlbum.className = 'spotify-track-album';
-      trackAlbum.textContent = track.album.name;
-      trackAlbum.style.color = 'var(--text-muted)';
-      trackAlbum.style.fontSize = '0.9em';
-      trackInfo.appendChild(trackAlbum);
-      
-      trackElement.appendChild(trackInfo);
-
-      if (this.settings.showDuration && track.duration_ms) {
-        const duration = document.createElement('div');
-        duration.className = 'spotify-track-duration';
-        duration.textContent = this.formatDuration(track.duration_ms);
-        duration.style.color = 'var(--text-muted)';
-        duration.style.fontSize = '0.9em';
-        trackElement.appendChild(duration);
+
+  /**
+   * Starts or restarts the polling timer kept in `this[field]`. Settings
+   * sliders restart their timer on every step, so the id is cleared here and
+   * in onunload() rather than added to registerInterval() each time.
+   */
+  restartInterval(field, callback, ms) {
+    this.stopInterval(field);
+    this[field] = window.setInterval(callback, ms);
+  }
+
+  stopInterval(field) {
+    if (this[field]) {
+      window.clearInterval(this[field]);
+      this[field] = null;
+    }
+  }
+
+  setupNowPlaying() {
+    this.statusBarItem = this.addStatusBarItem();
+    this.statusBarItem.addClass('spotify-now-playing');
+    this.statusBarItem.setAttribute('aria-label', 'Click to play/pause');
+    this.statusBarItem.addEventListener('click', () => this.runPlayerAction(() => this.togglePlayback()));
+    this.statusBarItem.hide();
+    this.startNowPlayingPolling();
+    this.updateNowPlaying();
+  }
+
+  startNowPlayingPolling() {
+    this.restartInterval('nowPlayingTimer', () => this.updateNowPlaying(), this.settings.nowPlayingInterval * 1000);
+  }
+
+  async updateNowPlaying() {
+    if (!this.statusBarItem) return;
+    if (!this.settings.showNowPlaying || !this.isUserConnected()) {
+      this.statusBarItem.hide();
+      return;
+    }
+
+    try {
+      const current = await this.makeSpotifyRequest('/me/player/currently-playing?additional_types=episode');
+      const item = current?.item;
+      if (!item) {
+        this.statusBarItem.hide();
+        return;
       }
-      
-      tracksList.appendChild(trackElement);
+      const subtitle = item.artists ? item.artists.map(a => a.name).join(', ') : item.show?.name;
+      this.statusBarItem.setText(`${current.is_playing ? '▶' : '⏸'} ${item.name}${subtitle ? ` – ${subtitle}` : ''}`);
+      this.statusBarItem.show();
+    } catch (error) {
+      console.error('Error fetching currently playing track:', error);
+      this.statusBarItem.hide();
+    }
+  }
+
+  // ===================== LISTENING HISTORY =====================
+
+  setupListeningLog() {
+    this.addCommand({
+      id: 'sync-listening-history',
+      name: 'Sync listening history to daily notes',
+      callback: () => this.syncListeningHistory({ notify: true })
     });
-    
-    tracksSection.appendChild(tracksList);
-    artistEl.appendChild(tracksSection);
+
+    this.addCommand({
+      id: 'import-streaming-history',
+      name: 'Import streaming history export',
+      callback: () => this.importStreamingHistory()
+    });
+    this.startListeningLogPolling();
+    if (this.settings.listeningLog) {
+      this.app.workspace.onLayoutReady(() => this.syncListeningHistory());
+    }
+  }
+
+  startListeningLogPolling() {
+    if (!this.settings.listeningLog) {
+      this.stopInterval('historyTimer');
+      return;
+    }
+    this.restartInterval('historyTimer', () => this.syncListeningHistory(), this.settings.listeningLogInterval * 60 * 1000);
+  }
+
+  /**
+   * Adds new plays from the recently played endpoint to the listening
+   * history and writes the ones not logged yet into the daily notes.
+   * Spotify only returns the last 50 plays, so this has to run regularly.
+   */
+  syncListeningHistory(options = {}) {
+    if (!this.historySync) {
+      this.historySync = this.runHistorySync(options)
+        .finally(() => { this.historySync = null; });
+    }
+    return this.historySync;
+  }
+
+  async runHistorySync({ notify = false }) {
+    if (!this.isUserConnected()) {
+      if (notify) new Notice('Connect your Spotify account to sync your listening history');
+      return;
+    }
+
+    try {
+      const after = this.history.lastPlayedAt;
+      const response = await this.makeSpotifyRequest(
+        `/me/player/recently-played?limit=50${after ? `&after=${Date.parse(after)}` : ''}`
+      );
+      const added = this.history.add((response.items || [])
+        .filter(entry => entry?.track)
+        .map(entry => this.createPlay(entry.track, entry.played_at)));
+
+      const logged = await this.writeListeningLog();
+      if (notify) new Notice(`Listening history: ${added} new plays, ${logged} written to daily notes`);
+    } catch (error) {
+      console.error('Error syncing Spotify listening history:', error);
+      if (notify) new Notice(`✗ Could not sync listening history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Aggregates the local listening history between `since` and `until`
+   * (days or months, inclusive, in local time).
+   */
+  computeListeningStats(config) {
+    const allPlays = this.history.getPlays();
+    const localDay = play => moment(play.playedAt).format('YYYY-MM-DD');
+    const inRange = (day) => !(config.since && day.slice(0, config.since.length) < config.since)
+      && !(config.until && day.slice(0, config.until.length) > config.until);
+
+    const artists = new Map();
+    const tracks = new Map();
+    const albums = new Map();
+    const firstPlayed = new Map();
+    const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+    // Keyed by name, as imported plays from the old export format have no IDs
+    const count = (map, key, entry) => {
+      if (!map.has(key)) map.set(key, { ...entry, plays: 0, ms: 0 });
+      const counted = map.get(key);
+      counted.id = counted.id || entry.id;
+      return counted;
+    };
+
+    let plays = 0;
+    let totalMs = 0;
+    // Oldest first, so the first play of each artist is seen first
+    for (const play of allPlays) {
+      const day = localDay(play);
+      play.artists.forEach((name, index) => {
+        if (!firstPlayed.has(name)) firstPlayed.set(name, { id: play.artistIds?.[index], name, day });
+      });
+      if (!inRange(day)) continue;
+
+      plays++;
+      totalMs += play.durationMs;
+      const time = moment(play.playedAt);
+      // Moment weeks start on Sunday; the heatmap starts on Monday
+      heatmap[(time.day() + 6) % 7][time.hour()]++;
+
+      play.artists.forEach((name, index) => {
+        const artist = count(artists, name, { id: play.artistIds?.[index], name });
+        artist.plays++;
+        artist.ms += play.durationMs;
+      });
+      const track = count(tracks, `${play.name}:${play.artists[0] || ''}`, {
+        id: play.trackId, name: play.name, subtitle: play.artists.join(', ')
+      });
+      track.plays++;
+      track.ms += play.durationMs;
+      if (play.album) {
+        const album = count(albums, `${play.album}:${play.artists[0] || ''}`, {
+          id: play.albumId, name: play.album, subtitle: play.artists[0] || ''
+        });
+        album.plays++;
+        album.ms += play.durationMs;
+      }
+    }
+
+    const top = map => [...map.values()]
+      .sort((a, b) => b.plays - a.plays || b.ms - a.ms)
+      .slice(0, config.limit);
+    return {
+      plays,
+      minutes: Math.round(totalMs / 60000),
+      artistCount: artists.size,
+      trackCount: tracks.size,
+      topArtists: top(artists),
+      topTracks: top(tracks),
+      topAlbums: top(albums),
+      heatmap,
+      // Without a start date every artist would count as new
+      discoveries: !config.since ? [] : [...firstPlayed.values()]
+        .filter(artist => inRange(artist.day) && artists.has(artist.name))
+        .map(artist => ({ ...artists.get(artist.name), day: artist.day }))
+        .sort((a, b) => b.plays - a.plays)
+        .slice(0, config.limit)
+    };
+  }
+
+  /**
+   * Imports every StreamingHistory*.json / Streaming_History_Audio_*.json
+   * file in the vault into the listening history. Parsing works offline;
+   * track metadata is then looked up in batches when Spotify can be reached.
+   * Imported plays are not written to daily notes.
+   */
+  async importStreamingHistory() {
+    const files = this.app.vault.getFiles().filter(file => STREAMING_HISTORY_FILE.test(file.name));
+    if (files.length === 0) {
+      new Notice('No StreamingHistory*.json or Streaming_History_Audio_*.json files found in the vault');
+      return;
+    }
+
+    const notice = new Notice(`Importing ${files.length} streaming history files...`, 0);
+    let added = 0;
+    let duplicates = 0;
+    let ignored = 0;
+    const failed = [];
+    for (const file of files) {
+      try {
+        const entries = JSON.parse(await this.app.vault.read(file));
+        if (!Array.isArray(entries)) throw new Error('not a list of plays');
+        const plays = entries.map(entry => this.normalizeStreamingEntry(entry)).filter(Boolean);
+        // add() also drops plays repeated within the export
+        const addedFromFile = this.history.add(plays.filter(play => !this.history.hasPlayNear(play)));
+        added += addedFromFile;
+        duplicates += plays.length - addedFromFile;
+        ignored += entries.length - plays.length;
+      } catch (error) {
+        failed.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    let resolved = 0;
+    try {
+      resolved = await this.resolveHistoryMetadata(count => notice.setMessage(`Looking up ${count} tracks...`));
+    } catch (error) {
+      console.warn('Could not look up imported tracks:', error);
+    }
+    notice.hide();
+
+    const summary = `Imported ${added.toLocaleString()} plays, skipped ${duplicates.toLocaleString()} already in the history and ${ignored.toLocaleString()} short plays, podcasts or invalid entries, looked up ${resolved.toLocaleString()} tracks`;
+    new Notice(failed.length > 0 ? `${summary}\n✗ ${failed.join('\n✗ ')}` : summary, 10000);
+  }
+
+  /**
+   * Turns an entry of either export format into a play, or null for
+   * podcasts, audiobooks and plays shorter than 30 seconds.
+   */
+  normalizeStreamingEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    // Extended streaming history: { ts, ms_played, master_metadata_*, spotify_track_uri }
+    if ('ts' in entry) {
+      if (!entry.master_metadata_track_name || entry.ms_played < MIN_IMPORTED_PLAY_MS) return null;
+      const playedAt = new Date(entry.ts);
+      if (Number.isNaN(playedAt.getTime())) return null;
+      return {
+        playedAt: playedAt.toISOString(),
+        trackId: this.parseSpotifyReference(entry.spotify_track_uri || '')?.id || null,
+        name: entry.master_metadata_track_name,
+        artists: entry.master_metadata_album_artist_name ? [entry.master_metadata_album_artist_name] : [],
+        artistIds: [],
+        album: entry.master_metadata_album_album_name || '',
+        albumId: null,
+        durationMs: entry.ms_played,
+        logged: true
+      };
+    }
+
+    // Account data: { endTime: "2023-01-31 18:04" (UTC), artistName, trackName, msPlayed }
+    if ('endTime' in entry) {
+      if (!entry.trackName || !entry.artistName || entry.msPlayed < MIN_IMPORTED_PLAY_MS) return null;
+      const playedAt = new Date(`${entry.endTime.replace(' ', 'T')}:00Z`);
+      if (Number.isNaN(playedAt.getTime())) return null;
+      return {
+        playedAt: playedAt.toISOString(),
+        trackId: null,
+        name: entry.trackName,
+        artists: [entry.artistName],
+        artistIds: [],
+        album: '',
+        albumId: null,
+        durationMs: entry.msPlayed,
+        logged: true
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Fills in artists and album of plays that only have a track ID, like
+   * imported ones. Returns how many tracks were looked up.
+   */
+  async resolveHistoryMetadata(onProgress = () => {}) {
+    const unresolved = [...this.history.plays.values()]
+      .filter(play => play.trackId && play.artistIds.length === 0);
+    const ids = [...new Set(unresolved.map(play => play.trackId))];
+    if (ids.length === 0) return 0;
+    onProgress(ids.length);
+
+    const tracks = new Map();
+    // Requested together so they end up in as few batch requests as possible
+    await Promise.all(ids.map(id => this.batchLoader.load('tracks', id)
+      .then(track => tracks.set(id, track))
+      .catch(() => {})));
+
+    for (const play of unresolved) {
+      const track = tracks.get(play.trackId);
+      if (!track) continue;
+      play.artists = track.artists.map(artist => artist.name);
+      play.artistIds = track.artists.map(artist => artist.id);
+      play.album = track.album?.name || play.album;
+      play.albumId = track.album?.id || null;
+    }
+    this.history.scheduleSave();
+    return tracks.size;
+  }
+
+  createPlay(track, playedAt) {
+    return {
+      playedAt,
+      trackId: track.id,
+      name: track.name,
+      artists: (track.artists || []).map(artist => artist.name),
+      artistIds: (track.artists || []).map(artist => artist.id),
+      album: track.album?.name || '',
+      albumId: track.album?.id || null,
+      durationMs: track.duration_ms || 0,
+      logged: false
+    };
+  }
+
+  /**
+   * Appends plays that haven't been logged yet to the daily note of the day
+   * they were played on, creating the note if needed. Returns how many
+   * plays were written.
+   */
+  async writeListeningLog() {
+    const byDay = new Map();
+    for (const play of this.history.getPlays()) {
+      if (play.logged) continue;
+      const day = moment(play.playedAt).format(this.settings.dailyNoteFormat || 'YYYY-MM-DD');
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(play);
+    }
+
+    let written = 0;
+    for (const [day, plays] of byDay) {
+      const lines = plays.map(play => this.formatLogLine(play));
+      await this.appendToDailyNote(day, lines);
+      plays.forEach(play => { play.logged = true; });
+      this.history.scheduleSave();
+      written += plays.length;
+    }
+    return written;
+  }
+
+  formatLogLine(play) {
+    return this.fillTemplate(this.settings.listeningLogTemplate || DEFAULT_LOG_TEMPLATE, {
+      time: moment(play.playedAt).format('HH:mm'),
+      track: play.name.replace(/([\[\]])/g, '\\$1'),
+      artists: play.artists.join(', '),
+      album: play.album,
+      duration: this.formatDuration(play.durationMs),
+      url: play.trackId ? `https://open.spotify.com/track/${play.trackId}` : '',
+      uri: play.trackId ? `spotify:track:${play.trackId}` : ''
+    });
+  }
+
+  async appendToDailyNote(day, lines) {
+    const folder = normalizePath(this.settings.dailyNoteFolder.trim() || '/');
+    const path = folder === '/' ? `${day}.md` : `${folder}/${day}.md`;
+    const heading = this.settings.listeningLogHeading.trim();
+
+    const file = this.app.vault.getAbstractFileByPath(path);
+    if (file instanceof TFile) {
+      await this.app.vault.process(file, content => this.insertUnderHeading(content, heading, lines));
+      return;
+    }
+
+    // Folders in the date format (e.g. YYYY/MM/YYYY-MM-DD) need creating too
+    const parent = path.slice(0, path.lastIndexOf('/'));
+    if (parent && !this.app.vault.getAbstractFileByPath(parent)) {
+      await this.app.vault.createFolder(parent);
+    }
+    await this.app.vault.create(path, this.insertUnderHeading('', heading, lines));
+  }
+
+  /**
+   * Adds `lines` at the end of the section under `heading`, adding the
+   * heading at the end of the note if it isn't there yet.
+   */
+  insertUnderHeading(content, heading, lines) {
+    const text = lines.join('\n');
+    if (!heading) {
+      return content.trimEnd() ? `${content.trimEnd()}\n${text}\n` : `${text}\n`;
+    }
+
+    const noteLines = content.split('\n');
+    const headingIndex = noteLines.findIndex(line => line.trim() === heading);
+    if (headingIndex === -1) {
+      const body = content.trimEnd();
+      return `${body ? `${body}\n\n` : ''}${heading}\n${text}\n`;
+    }
+
+    // The section ends at the next heading of the same or a higher level
+    const level = heading.match(/^#*/)[0].length || 6;
+    let end = noteLines.findIndex((line, index) => {
+      if (index <= headingIndex) return false;
+      const match = line.match(/^(#{1,6})\s/);
+      return match && match[1].length <= level;
+    });
+    if (end === -1) end = noteLines.length;
+    // Keep blank lines between the section and whatever follows it
+    let insertAt = end;
+    while (insertAt > headingIndex + 1 && noteLines[insertAt - 1].trim() === '') insertAt--;
+    noteLines.splice(insertAt, 0, ...lines);
+    return noteLines.join('\n');
+  }
+
+  // ===================== UTILITY METHODS =====================
+
+  // Resume points are only returned for requests made with a user session
+  formatResumePoint(episode) {
+    const resumePoint = episode.resume_point;
+    if (!resumePoint || !this.isUserConnected()) return null;
+    if (resumePoint.fully_played) return 'Played';
+    if (resumePoint.resume_position_ms > 0) {
+      return `${this.formatDuration(episode.duration_ms - resumePoint.resume_position_ms)} left`;
+    }
+    return null;
+  }
+
+  formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Picks the smallest image at least as wide as the Cover Size setting,
+   * or the largest one if none is big enough.
+   */
+  getCoverImage(images) {
+    if (!images?.length) return null;
+    // Mosaic playlist covers come without a size
+    const sized = images.filter(image => image.width).sort((a, b) => b.width - a.width);
+    if (sized.length === 0) return images[0];
+    const target = COVER_SIZES[this.settings.coverSize];
+    return sized.filter(image => image.width >= target).pop() || sized[0];
+  }
+
+  /**
+   * Shows `url` in `img`, from the vault or the image cache when there is a
+   * local copy. Only covers with `persist` (those of `spotify` item blocks)
+   * are downloaded into the vault; others go to the plugin's image cache.
+   */
+  setImageSrc(img, url, options = {}) {
+    const coverPath = this.settings.downloadCovers ? this.covers.getPath(url) : null;
+    if (coverPath) {
+      img.src = this.app.vault.adapter.getResourcePath(coverPath);
+      return;
+    }
+    if (this.settings.downloadCovers && options.persist) {
+      img.src = url;
+      this.covers.download(url).catch(error => console.warn('Could not download Spotify cover:', error));
+      return;
+    }
+
+    const localPath = this.cache.getImagePath(url);
+    if (localPath) {
+      img.src = this.app.vault.adapter.getResourcePath(localPath);
+      return;
+    }
+    img.src = url;
+    if (this.settings.cacheImages) {
+      this.cache.cacheImage(url).catch(error => console.warn('Could not cache Spotify image:', error));
+    }
+  }
+
+  getItemSubtitle(item) {
+    if (item.artists) return item.artists.map(a => a.name).join(', ');
+    if (item.owner) return item.owner.display_name;
+    if (item.publisher) return item.publisher;
+    if (item.show) return item.show.name;
+    return '';
+  }
+
+  /**
+   * Formats an item for insertion into a note as a `spotify` code block,
+   * an inline `[spotify:type:id]` link or a titled markdown link.
+   */
+  formatSpotifyItem(item, format) {
+    const [, type, id] = item.uri.split(':');
+    switch (format) {
+      case 'codeblock':
+        return `\`\`\`spotify\ntype: ${type}\nid: ${id}\n\`\`\`\n`;
+      case 'inline':
+        return `[${item.uri}]`;
+      case 'markdown': {
+        const subtitle = this.getItemSubtitle(item);
+        const label = (subtitle ? `${item.name} – ${subtitle}` : item.name).replace(/([\[\]])/g, '\\$1');
+        return `[${label}](${this.getSpotifyWebUrl(item)})`;
+      }
+      default:
+        throw new Error(`Unknown insert format: ${format}`);
+    }
   }
+
+  /**
+   * Writes `text` into the note containing a search block: at the cursor, or
+   * in place of the block when the insert mode is "replace". In reading view
+   * there is no cursor, so the text goes below the block instead.
+   */
+  async insertIntoNote(text, blockContext) {
+    const { el, ctx } = blockContext;
+    const section = ctx.getSectionInfo(el);
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    const editor = view?.file?.path === ctx.sourcePath && view.getMode() === 'source' ? view.editor : null;
+    const replace = this.settings.searchInsertMode === 'replace';
+
+    if (editor && replace && section) {
+      editor.replaceRange(
+        text.replace(/\n$/, ''),
+        { line: section.lineStart, ch: 0 },
+        { line: section.lineEnd, ch: editor.getLine(section.lineEnd).length }
+      );
+      return;
+    }
+    if (editor && !replace) {
+      editor.replaceSelection(text);
+      return;
+    }
+    if (!section) {
+      throw new Error('Open the note in editing mode to insert the item');
+    }
+
+    const file = this.app.vault.getAbstractFileByPath(ctx.sourcePath);
+    await this.app.vault.process(file, data => {
+      const lines = data.split('\n');
+      if (replace) {
+        lines.splice(section.lineStart, section.lineEnd - section.lineStart + 1, text.replace(/\n$/, ''));
+      } else {
+        lines.splice(section.lineEnd + 1, 0, text.replace(/\n$/, ''));
+      }
+      return lines.join('\n');
+    });
+  }
+
+  getSpotifyWebUrl(item) {
+    if (item.external_urls?.spotify) return item.external_urls.spotify;
+    const [, type, id] = item.uri.split(':');
+    return `https://open.spotify.com/${type}/${id}`;
+  }
+
+  emptyElement(el) {
+    while (el.firstChild) {
+      el.removeChild(el.firstChild);
+    }
+  }
+
+  // ===================== RENDERING =====================
+// ===================== FIXED RENDERING METHODS =====================
+
+renderSpotifyData(el, data, config) {
+  this.emptyElement(el);
+  const layout = config.layout || this.settings.defaultLayout;
+  el.className = `spotify-container spotify-layout-${layout}`;
   
-  // Apply grid layout if needed
+  // Apply grid columns if using grid layout
   if (layout === 'grid') {
-    el.style.display = 'grid';
-    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
-    el.style.gap = '16px';
+    el.style.setProperty('--grid-columns', this.settings.gridColumns);
   }
   
-  el.appendChild(artistEl);
+  try {
+    switch (config.type) {
+      case 'track':
+        this.renderTrack(el, data, config);
+        break;
+      case 'album':
+        this.renderAlbum(el, data, config);
+        break;
+      case 'artist':
+        this.renderArtist(el, data, config);
+        break;
+      case 'playlist':
+        this.renderPlaylist(el, data, config);
+        break;
+      case 'show':
+        this.renderShow(el, data, config);
+        break;
+      case 'episode':
+        this.renderEpisode(el, data, config);
+        break;
+      case 'liked-tracks':
+      case 'saved-albums':
+      case 'followed-artists':
+      case 'my-playlists':
+      case 'recently-played':
+      case 'top-tracks':
+      case 'top-artists':
+        this.renderLibrary(el, data, config);
+        break;
+      default:
+        this.renderError(el, `Unsupported type: ${config.type}`);
+    }
+  } catch (error) {
+    this.renderError(el, `Rendering error: ${error.message}`);
+  }
 }
 
-renderSearchInterface(el, config) {
-  this.emptyElement(el);
-  
-  const searchContainer = document.createElement('div');
-  searchContainer.className = 'spotify-search-container';
-  searchContainer.style.padding = '16px';
-  searchContainer.style.border = '1px solid var(--background-modifier-border)';
-  searchContainer.style.borderRadius = '8px';
-  searchContainer.style.marginBottom = '16px';
+renderTrack(el, track, config) {
+  const layout = config.layout || this.settings.defaultLayout;
   
-  const searchTitle = document.createElement('h3');
-  searchTitle.textContent = 'Search Spotify';
-  searchTitle.style.margin = '0 0 12px 0';
-  searchContainer.appendChild(searchTitle);
+  const trackEl = document.createElement('div');
+  trackEl.className = `spotify-track spotify-${layout}`;
   
-  const searchForm = document.createElement('div');
-  searchForm.className = 'spotify-search-form';
-  searchForm.style.display = 'flex';
-  searchForm.style.gap = '8px';
-  searchForm.style.alignItems = 'center';
-  searchForm.style.marginBottom = '12px';
+  // Layout-specific styling
+  if (layout === 'inline') {
+    trackEl.style.display = 'inline-flex';
+    trackEl.style.alignItems = 'center';
+    trackEl.style.gap = '8px';
+  } else if (layout === 'list') {
+    trackEl.style.display = 'flex';
+    trackEl.style.alignItems = 'center';
+    trackEl.style.gap = '12px';
+    trackEl.style.padding = '8px';
+    trackEl.style.borderBottom = '1px solid var(--background-modifier-border)';
+  } else if (layout === 'card' || layout === 'grid') {
+    trackEl.style.display = 'flex';
+    trackEl.style.flexDirection = 'column';
+    trackEl.style.padding = '12px';
+    trackEl.style.border = '1px solid var(--background-modifier-border)';
+    trackEl.style.borderRadius = '8px';
+  }
   
-  const searchInput = document.createElement('input');
-  searchInput.type = 'text';
-  searchInput.placeholder = 'Enter search query...';
-  searchInput.className = 'spotify-search-input';
-  searchInput.style.flex = '1';
-  searchInput.style.padding = '8px';
-  searchInput.style.border = '1px solid var(--background-modifier-border)';
-  searchInput.style.borderRadius = '4px';
-  searchForm.appendChild(searchInput);
-  
-  const searchButton = document.createElement('button');
-  searchButton.textContent = 'Search';
-  searchButton.className = 'spotify-search-button';
-  searchButton.style.padding = '8px 16px';
-  searchButton.style.backgroundColor = 'var(--interactive-accent)';
-  searchButton.style.color = 'var(--text-on-accent)';
-  searchButton.style.border = 'none';
-  searchButton.style.borderRadius = '4px';
-  searchButton.style.cursor = 'pointer';
-  searchForm.appendChild(searchButton);
-  
-  searchContainer.appendChild(searchForm);
+  // Album art
+  if (this.settings.showAlbumArt && track.album?.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(track.album.images).url, { persist: !config.preview });
+    img.className = 'spotify-album-art';
+    
+    if (layout === 'inline') {
+      img.style.width = '32px';
+      img.style.height = '32px';
+    } else if (layout === 'list') {
+      img.style.width = '48px';
+      img.style.height = '48px';
+    } else {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+    }
+    
+    trackEl.appendChild(img);
+  }
   
-  const searchOptions = document.createElement('div');
-  searchOptions.className = 'spotify-search-options';
-  searchOptions.style.display = 'flex';
-  searchOptions.style.gap = '12px';
-  searchOptions.style.alignItems = 'center';
+  const info = document.createElement('div');
+  info.className = 'spotify-track-info';
   
-  const typeLabel = document.createElement('label');
-  typeLabel.textContent = 'Search type:';
-  typeLabel.style.fontSize = '0.9em';
-  searchOptions.appendChild(typeLabel);
+  if (layout === 'list') {
+    info.style.flex = '1';
+    info.style.display = 'flex';
+    info.style.alignItems = 'center';
+    info.style.gap = '16px';
+  } else if (layout === 'inline') {
+    info.style.display = 'flex';
+    info.style.alignItems = 'center';
+    info.style.gap = '8px';
+  }
   
-  const typeSelect = document.createElement('select');
-  typeSelect.className = 'spotify-search-type';
-  typeSelect.style.padding = '4px';
-  typeSelect.style.border = '1px solid var(--background-modifier-border)';
-  typeSelect.style.borderRadius = '4px';
+  const title = document.createElement('div');
+  title.className = 'spotify-track-title';
+  title.textContent = track.name;
+  title.style.fontWeight = 'bold';
   
-  const searchTypes = ['track', 'album', 'artist', 'playlist'];
-  searchTypes.forEach(type => {
-    const option = document.createElement('option');
-    option.value = type;
-    option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
-    option.selected = type === (config.searchType || 'track');
-    typeSelect.appendChild(option);
-  });
+  if (layout === 'list') {
+    title.style.flex = '1';
+  }
   
-  searchOptions.appendChild(typeSelect);
-  searchContainer.appendChild(searchOptions);
+  info.appendChild(title);
   
-  const resultsContainer = document.createElement('div');
-  resultsContainer.className = 'spotify-search-results';
+  if (this.settings.showArtist) {
+    const artist = document.createElement('div');
+    artist.className = 'spotify-track-artist';
+    artist.textContent = track.artists.map(a => a.name).join(', ');
+    artist.style.color = 'var(--text-muted)';
+    
+    if (layout === 'list') {
+      artist.style.flex = '1';
+    }
+    
+    info.appendChild(artist);
+  }
   
-  const performSearch = async () => {
-    const query = searchInput.value.trim();
-    if (!query) return;
+  if (this.settings.showAlbum && track.album) {
+    const album = document.createElement('div');
+    album.className = 'spotify-track-album';
+    album.textContent = track.album.name;
+    album.style.color = 'var(--text-muted)';
+    album.style.fontSize = '0.9em';
     
-    searchButton.textContent = 'Searching...';
-    searchButton.disabled = true;
+    if (layout === 'list') {
+      album.style.flex = '1';
+    }
     
-    try {
-      const searchConfig = {
-        type: 'search',
-        query: query,
-        searchType: typeSelect.value,
-        layout: config.layout || this.settings.defaultLayout,
-        limit: config.limit || this.settings.maxResults
-      };
-      
-      const data = await this.fetchSpotifyData(searchConfig);
-      this.renderSearchResults(resultsContainer, data, searchConfig);
-    } catch (error) {
-      this.renderError(resultsContainer, error.message);
+    info.appendChild(album);
+  }
+  
+  if (this.settings.showDuration && track.duration_ms) {
+    const duration = document.createElement('div');
+    duration.className = 'spotify-track-duration';
+    duration.textContent = this.formatDuration(track.duration_ms);
+    duration.style.color = 'var(--text-muted)';
+    duration.style.fontSize = '0.9em';
+    
+    if (layout === 'list') {
+      duration.style.marginLeft = 'auto';
     }
     
-    searchButton.textContent = 'Search';
-    searchButton.disabled = false;
-  };
+    info.appendChild(duration);
+  }
   
-  searchButton.addEventListener('click', performSearch);
-  searchInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      performSearch();
+  if (this.settings.showPopularity && track.popularity) {
+    const popularity = document.createElement('div');
+    popularity.className = 'spotify-track-popularity';
+    popularity.textContent = `${track.popularity}%`;
+    popularity.style.color = 'var(--text-muted)';
+    popularity.style.fontSize = '0.8em';
+    info.appendChild(popularity);
+  }
+  
+  this.renderPlaybackActions(info, track, { compact: layout === 'inline' || layout === 'list' });
+  trackEl.appendChild(info);
+  
+  // Apply grid layout if needed
+  if (layout === 'grid') {
+    el.style.display = 'grid';
+    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    el.style.gap = '16px';
+  }
+  
+  el.appendChild(trackEl);
+}
+
+renderAlbum(el, album, config) {
+  const layout = config.layout || this.settings.defaultLayout;
+  
+  const albumEl = document.createElement('div');
+  albumEl.className = `spotify-album spotify-${layout}`;
+  
+  // Layout-specific styling
+  if (layout === 'card' || layout === 'grid') {
+    albumEl.style.display = 'flex';
+    albumEl.style.flexDirection = 'column';
+    albumEl.style.padding = '12px';
+    albumEl.style.border = '1px solid var(--background-modifier-border)';
+    albumEl.style.borderRadius = '8px';
+  }
+  
+  const header = document.createElement('div');
+  header.className = 'spotify-album-header';
+  header.style.display = 'flex';
+  header.style.gap = '12px';
+  header.style.alignItems = 'flex-start';
+  
+  if (this.settings.showAlbumArt && album.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(album.images).url, { persist: !config.preview });
+    img.className = 'spotify-album-art';
+    
+    if (layout === 'card' || layout === 'grid') {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '12px';
+    } else {
+      img.style.width = '80px';
+      img.style.height = '80px';
+      img.style.objectFit = 'cover';
     }
-  });
+    
+    header.appendChild(img);
+  }
   
-  el.appendChild(searchContainer);
-  el.appendChild(resultsContainer);
-          }
+  const info = document.createElement('div');
+  info.className = 'spotify-album-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('h3');
+  title.className = 'spotify-album-title';
+  title.textContent = album.name;
+  title.style.margin = '0 0 8px 0';
+  title.style.fontWeight = 'bold';
+  info.appendChild(title);
+  
+  if (this.settings.showArtist) {
+    const artist = document.createElement('div');
+    artist.className = 'spotify-album-artist';
+    artist.textContent = album.artists.map(a => a.name).join(', ');
+    artist.style.color = 'var(--text-muted)';
+    artist.style.marginBottom = '4px';
+    info.appendChild(artist);
+  }
+  
+  const releaseDate = document.createElement('div');
+  releaseDate.className = 'spotify-album-release-date';
+  releaseDate.textContent = `Released: ${album.release_date}`;
+  releaseDate.style.color = 'var(--text-muted)';
+  releaseDate.style.fontSize = '0.9em';
+  releaseDate.style.marginBottom = '4px';
+  info.appendChild(releaseDate);
+  
+  const trackCount = document.createElement('div');
+  trackCount.className = 'spotify-album-track-count';
+  trackCount.textContent = `${album.total_tracks} tracks`;
+  trackCount.style.color = 'var(--text-muted)';
+  trackCount.style.fontSize = '0.9em';
+  info.appendChild(trackCount);
+  
+  this.renderPlaybackActions(info, album);
+  header.appendChild(info);
+  albumEl.appendChild(header);
+  
+  // Render tracks if available and not card layout
+  if (album.tracks?.items?.length > 0 && layout !== 'card') {
+    const tracksList = document.createElement('div');
+    tracksList.className = `spotify-album-tracks`;
+    tracksList.style.marginTop = '16px';
+    
+    albumEl.appendChild(tracksList);
+    this.renderPagedList(tracksList, album.tracks.items, config, (track, index) =>
+      this.createTrackRow(track, index, {
+        className: 'spotify-album-track-item',
+        context: album.uri
+      })
+    );
+  }
+  
+  // Apply grid layout if needed
+  if (layout === 'grid') {
+    el.style.display = 'grid';
+    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    el.style.gap = '16px';
+  }
+  
+  el.appendChild(albumEl);
+}
+  // Add these methods to your SpotifyPlugin class after the renderAlbum method
+
+renderPlaylist(el, playlist, config) {
+  const layout = config.layout || this.settings.defaultLayout;
+  
+  const playlistEl = document.createElement('div');
+  playlistEl.className = `spotify-playlist spotify-${layout}`;
+  
+  // Layout-specific styling
+  if (layout === 'card' || layout === 'grid') {
+    playlistEl.style.display = 'flex';
+    playlistEl.style.flexDirection = 'column';
+    playlistEl.style.padding = '12px';
+    playlistEl.style.border = '1px solid var(--background-modifier-border)';
+    playlistEl.style.borderRadius = '8px';
+  }
+  
+  const header = document.createElement('div');
+  header.className = 'spotify-playlist-header';
+  header.style.display = 'flex';
+  header.style.gap = '12px';
+  header.style.alignItems = 'flex-start';
+  
+  if (this.settings.showAlbumArt && playlist.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(playlist.images).url, { persist: !config.preview });
+    img.className = 'spotify-playlist-art';
+    
+    if (layout === 'card' || layout === 'grid') {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '12px';
+    } else {
+      img.style.width = '80px';
+      img.style.height = '80px';
+      img.style.objectFit = 'cover';
+    }
+    
+    header.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-playlist-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('h3');
+  title.className = 'spotify-playlist-title';
+  title.textContent = playlist.name;
+  title.style.margin = '0 0 8px 0';
+  title.style.fontWeight = 'bold';
+  info.appendChild(title);
+  
+  const owner = document.createElement('div');
+  owner.className = 'spotify-playlist-owner';
+  owner.textContent = `by ${playlist.owner.display_name}`;
+  owner.style.color = 'var(--text-muted)';
+  owner.style.marginBottom = '4px';
+  info.appendChild(owner);
+  
+  if (playlist.description) {
+    const description = document.createElement('div');
+    description.className = 'spotify-playlist-description';
+    description.textContent = playlist.description;
+    description.style.color = 'var(--text-muted)';
+    description.style.fontSize = '0.9em';
+    description.style.marginBottom = '4px';
+    info.appendChild(description);
+  }
+  
+  const trackCount = document.createElement('div');
+  trackCount.className = 'spotify-playlist-track-count';
+  trackCount.textContent = `${playlist.tracks.total} tracks`;
+  trackCount.style.color = 'var(--text-muted)';
+  trackCount.style.fontSize = '0.9em';
+  info.appendChild(trackCount);
+  
+  this.renderPlaybackActions(info, playlist);
+  header.appendChild(info);
+  playlistEl.appendChild(header);
+  
+  // Render tracks if available and not card layout
+  if (playlist.tracks?.items?.length > 0 && layout !== 'card') {
+    const tracksList = document.createElement('div');
+    tracksList.className = `spotify-playlist-tracks`;
+    tracksList.style.marginTop = '16px';
+    
+    playlistEl.appendChild(tracksList);
+    this.renderPagedList(tracksList, playlist.tracks.items, config, (trackItem, index) => {
+      const track = trackItem.track;
+      if (!track) return null; // Skip if track is null
+      
+      return this.createTrackRow(track, index, {
+        className: 'spotify-playlist-track-item',
+        context: playlist.uri
+      });
+    });
+  }
+  
+  // Apply grid layout if needed
+  if (layout === 'grid') {
+    el.style.display = 'grid';
+    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    el.style.gap = '16px';
+  }
+  
+  el.appendChild(playlistEl);
+}
+
+renderShow(el, show, config) {
+  const layout = config.layout || this.settings.defaultLayout;
+  
+  const showEl = document.createElement('div');
+  showEl.className = `spotify-show spotify-${layout}`;
+  
+  // Layout-specific styling
+  if (layout === 'card' || layout === 'grid') {
+    showEl.style.display = 'flex';
+    showEl.style.flexDirection = 'column';
+    showEl.style.padding = '12px';
+    showEl.style.border = '1px solid var(--background-modifier-border)';
+    showEl.style.borderRadius = '8px';
+  }
+  
+  const header = document.createElement('div');
+  header.className = 'spotify-show-header';
+  header.style.display = 'flex';
+  header.style.gap = '12px';
+  header.style.alignItems = 'flex-start';
+  
+  if (this.settings.showAlbumArt && show.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(show.images).url, { persist: !config.preview });
+    img.className = 'spotify-show-art';
+    
+    if (layout === 'card' || layout === 'grid') {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '12px';
+    } else {
+      img.style.width = '80px';
+      img.style.height = '80px';
+      img.style.objectFit = 'cover';
+    }
+    
+    header.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-show-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('h3');
+  title.className = 'spotify-show-title';
+  title.textContent = show.name;
+  title.style.margin = '0 0 8px 0';
+  title.style.fontWeight = 'bold';
+  info.appendChild(title);
+  
+  const publisher = document.createElement('div');
+  publisher.className = 'spotify-show-publisher';
+  publisher.textContent = show.publisher;
+  publisher.style.color = 'var(--text-muted)';
+  publisher.style.marginBottom = '4px';
+  info.appendChild(publisher);
+  
+  if (show.description) {
+    const description = document.createElement('div');
+    description.className = 'spotify-show-description';
+    description.textContent = show.description;
+    description.style.color = 'var(--text-muted)';
+    description.style.fontSize = '0.9em';
+    description.style.marginBottom = '4px';
+    info.appendChild(description);
+  }
+  
+  const episodeCount = document.createElement('div');
+  episodeCount.className = 'spotify-show-episode-count';
+  episodeCount.textContent = `${show.total_episodes} episodes`;
+  episodeCount.style.color = 'var(--text-muted)';
+  episodeCount.style.fontSize = '0.9em';
+  info.appendChild(episodeCount);
+  
+  this.renderPlaybackActions(info, show);
+  header.appendChild(info);
+  showEl.appendChild(header);
+  
+  // Render episodes if available and not card layout
+  if (show.episodes?.items?.length > 0 && layout !== 'card') {
+    const episodesList = document.createElement('div');
+    episodesList.className = 'spotify-show-episodes';
+    episodesList.style.marginTop = '16px';
+    
+    showEl.appendChild(episodesList);
+    this.renderPagedList(episodesList, show.episodes.items.filter(Boolean), config, (episode, index) =>
+      this.createTrackRow(episode, index, {
+        className: 'spotify-show-episode-item',
+        detail: 'episode',
+        context: show.uri
+      })
+    );
+  }
+  
+  // Apply grid layout if needed
+  if (layout === 'grid') {
+    el.style.display = 'grid';
+    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    el.style.gap = '16px';
+  }
+  
+  el.appendChild(showEl);
+}
+
+renderEpisode(el, episode, config) {
+  const layout = config.layout || this.settings.defaultLayout;
+  
+  const episodeEl = document.createElement('div');
+  episodeEl.className = `spotify-episode spotify-${layout}`;
+  
+  // Layout-specific styling
+  if (layout === 'card' || layout === 'grid') {
+    episodeEl.style.display = 'flex';
+    episodeEl.style.flexDirection = 'column';
+    episodeEl.style.padding = '12px';
+    episodeEl.style.border = '1px solid var(--background-modifier-border)';
+    episodeEl.style.borderRadius = '8px';
+  }
+  
+  const header = document.createElement('div');
+  header.className = 'spotify-episode-header';
+  header.style.display = 'flex';
+  header.style.gap = '12px';
+  header.style.alignItems = layout === 'inline' ? 'center' : 'flex-start';
+  
+  if (this.settings.showAlbumArt && episode.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(episode.images).url, { persist: !config.preview });
+    img.className = 'spotify-episode-art';
+    
+    if (layout === 'card' || layout === 'grid') {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '12px';
+    } else if (layout === 'inline') {
+      img.style.width = '32px';
+      img.style.height = '32px';
+    } else {
+      img.style.width = '80px';
+      img.style.height = '80px';
+      img.style.objectFit = 'cover';
+    }
+    
+    header.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-episode-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('h3');
+  title.className = 'spotify-episode-title';
+  title.textContent = episode.name;
+  title.style.margin = '0 0 8px 0';
+  title.style.fontWeight = 'bold';
+  info.appendChild(title);
+  
+  if (episode.show) {
+    const showName = document.createElement('div');
+    showName.className = 'spotify-episode-show';
+    showName.textContent = `${episode.show.name} · ${episode.show.publisher}`;
+    showName.style.color = 'var(--text-muted)';
+    showName.style.marginBottom = '4px';
+    info.appendChild(showName);
+  }
+  
+  const details = [episode.release_date];
+  if (this.settings.showDuration && episode.duration_ms) {
+    details.push(this.formatDuration(episode.duration_ms));
+  }
+  const resume = this.formatResumePoint(episode);
+  if (resume) details.push(resume);
+  
+  const releaseDate = document.createElement('div');
+  releaseDate.className = 'spotify-episode-release-date';
+  releaseDate.textContent = details.join(' · ');
+  releaseDate.style.color = 'var(--text-muted)';
+  releaseDate.style.fontSize = '0.9em';
+  releaseDate.style.marginBottom = '4px';
+  info.appendChild(releaseDate);
+  
+  if (episode.description && layout !== 'inline') {
+    const description = document.createElement('div');
+    description.className = 'spotify-episode-description';
+    description.textContent = episode.description;
+    description.style.color = 'var(--text-muted)';
+    description.style.fontSize = '0.9em';
+    info.appendChild(description);
+  }
+  
+  this.renderPlaybackActions(info, episode, {
+    context: episode.show?.uri,
+    compact: layout === 'inline' || layout === 'list'
+  });
+  header.appendChild(info);
+  episodeEl.appendChild(header);
+  
+  // Apply grid layout if needed
+  if (layout === 'grid') {
+    el.style.display = 'grid';
+    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    el.style.gap = '16px';
+  }
+  
+  el.appendChild(episodeEl);
+}
+
+renderArtist(el, artist, config) {
+  const layout = config.layout || this.settings.defaultLayout;
+  
+  const artistEl = document.createElement('div');
+  artistEl.className = `spotify-artist spotify-${layout}`;
+  
+  // Layout-specific styling
+  if (layout === 'card' || layout === 'grid') {
+    artistEl.style.display = 'flex';
+    artistEl.style.flexDirection = 'column';
+    artistEl.style.padding = '12px';
+    artistEl.style.border = '1px solid var(--background-modifier-border)';
+    artistEl.style.borderRadius = '8px';
+  }
+  
+  const header = document.createElement('div');
+  header.className = 'spotify-artist-header';
+  header.style.display = 'flex';
+  header.style.gap = '12px';
+  header.style.alignItems = 'flex-start';
+  
+  if (this.settings.showAlbumArt && artist.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(artist.images).url, { persist: !config.preview });
+    img.className = 'spotify-artist-art';
+    
+    if (layout === 'card' || layout === 'grid') {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.borderRadius = '50%';
+      img.style.marginBottom = '12px';
+    } else {
+      img.style.width = '80px';
+      img.style.height = '80px';
+      img.style.objectFit = 'cover';
+      img.style.borderRadius = '50%';
+    }
+    
+    header.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-artist-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('h3');
+  title.className = 'spotify-artist-title';
+  title.textContent = artist.name;
+  title.style.margin = '0 0 8px 0';
+  title.style.fontWeight = 'bold';
+  info.appendChild(title);
+  
+  const followers = document.createElement('div');
+  followers.className = 'spotify-artist-followers';
+  followers.textContent = `${artist.followers.total.toLocaleString()} followers`;
+  followers.style.color = 'var(--text-muted)';
+  followers.style.marginBottom = '4px';
+  info.appendChild(followers);
+  
+  if (this.settings.showPopularity && artist.popularity) {
+    const popularity = document.createElement('div');
+    popularity.className = 'spotify-artist-popularity';
+    popularity.textContent = `Popularity: ${artist.popularity}%`;
+    popularity.style.color = 'var(--text-muted)';
+    popularity.style.fontSize = '0.9em';
+    popularity.style.marginBottom = '4px';
+    info.appendChild(popularity);
+  }
+  
+  if (this.settings.showGenres && artist.genres?.length > 0) {
+    const genres = document.createElement('div');
+    genres.className = 'spotify-artist-genres';
+    genres.textContent = `Genres: ${artist.genres.join(', ')}`;
+    genres.style.color = 'var(--text-muted)';
+    genres.style.fontSize = '0.9em';
+    info.appendChild(genres);
+  }
+  
+  this.renderPlaybackActions(info, artist);
+  header.appendChild(info);
+  artistEl.appendChild(header);
+  
+  // Render top tracks if available and not card layout
+  if (artist.topTracks?.length > 0 && layout !== 'card') {
+    const tracksSection = document.createElement('div');
+    tracksSection.className = 'spotify-artist-top-tracks';
+    tracksSection.style.marginTop = '16px';
+    
+    const tracksTitle = document.createElement('h4');
+    tracksTitle.textContent = 'Top Tracks';
+    tracksTitle.style.margin = '0 0 8px 0';
+    tracksTitle.style.fontWeight = 'bold';
+    tracksSection.appendChild(tracksTitle);
+    
+    const tracksList = document.createElement('div');
+    tracksList.className = 'spotify-artist-tracks-list';
+    
+    // Apply max results limit
+    const tracksToShow = artist.topTracks.slice(0, Math.min(10, this.settings.maxResults));
+    
+    const topTrackUris = tracksToShow.map(track => track.uri);
+    tracksToShow.forEach((track, index) => {
+      tracksList.appendChild(this.createTrackRow(track, index, {
+        className: 'spotify-artist-track-item',
+        detail: 'album',
+        context: topTrackUris
+      }));
+    });
+    
+    tracksSection.appendChild(tracksList);
+    artistEl.appendChild(tracksSection);
+  }
+  
+  // Apply grid layout if needed
+  if (layout === 'grid') {
+    el.style.display = 'grid';
+    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    el.style.gap = '16px';
+  }
+  
+  el.appendChild(artistEl);
+}
+
+renderLibrary(el, entries, config) {
+  const { itemType, label, ranked } = LIBRARY_TYPES[config.type];
+  const layout = config.layout || this.settings.defaultLayout;
+  // Ranks follow Spotify's order, before any re-sorting
+  const rankedEntries = entries.map((entry, index) => ({ ...entry, rank: index + 1 }));
+  const items = this.sortLibraryEntries(this.filterLibraryEntries(rankedEntries, config), config.sort);
+  
+  const header = document.createElement('div');
+  header.className = 'spotify-library-header';
+  header.textContent = ranked
+    ? `${label} · ${TIME_RANGES[config.time_range]}`
+    : `${label} · ${items.length}`;
+  header.style.fontWeight = '600';
+  header.style.marginBottom = '12px';
+  el.appendChild(header);
+  
+  if (items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'spotify-no-results';
+    empty.textContent = config.since || config.until || config.after || config.before
+      ? 'Nothing in this period'
+      : 'Nothing here yet';
+    el.appendChild(empty);
+    return;
+  }
+  
+  const listEl = document.createElement('div');
+  listEl.className = 'spotify-library-list';
+  if (layout === 'grid') {
+    listEl.style.display = 'grid';
+    listEl.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    listEl.style.gap = '16px';
+  }
+  el.appendChild(listEl);
+  
+  this.renderPagedList(listEl, items, config, (entry) => {
+    const itemEl = this.renderResultItem(entry.item, itemType, layout);
+    if (ranked) {
+      const rank = document.createElement('span');
+      rank.className = 'spotify-rank';
+      rank.textContent = `#${entry.rank}`;
+      itemEl.prepend(rank);
+    }
+    if (config.type === 'recently-played') {
+      const playedAt = document.createElement('div');
+      playedAt.className = 'spotify-played-at';
+      playedAt.textContent = new Date(entry.addedAt).toLocaleString();
+      playedAt.style.fontSize = '11px';
+      playedAt.style.color = 'var(--text-faint)';
+      itemEl.appendChild(playedAt);
+    }
+    this.renderPlaybackActions(itemEl, entry.item, { compact: layout === 'list' });
+    return itemEl;
+  });
+}
+
+renderListeningStats(el, stats, config) {
+  this.emptyElement(el);
+  el.className = 'spotify-container spotify-stats';
+  
+  if (stats.plays === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'spotify-no-results';
+    empty.textContent = this.history.plays.size === 0
+      ? 'No listening history yet. Turn on "Log Listening History" in the plugin settings or import your Spotify data.'
+      : 'No plays in this period';
+    el.appendChild(empty);
+    return;
+  }
+  
+  const summary = document.createElement('div');
+  summary.className = 'spotify-stats-summary';
+  const figures = [
+    [stats.minutes.toLocaleString(), 'minutes'],
+    [stats.plays.toLocaleString(), 'plays'],
+    [stats.trackCount.toLocaleString(), 'tracks'],
+    [stats.artistCount.toLocaleString(), 'artists']
+  ];
+  for (const [value, label] of figures) {
+    const figure = document.createElement('div');
+    figure.className = 'spotify-stats-figure spotify-card';
+    const valueEl = document.createElement('div');
+    valueEl.className = 'spotify-stats-value';
+    valueEl.textContent = value;
+    const labelEl = document.createElement('div');
+    labelEl.className = 'spotify-track-artist';
+    labelEl.textContent = label;
+    figure.append(valueEl, labelEl);
+    summary.appendChild(figure);
+  }
+  el.appendChild(summary);
+  
+  this.renderStatsList(el, 'Top Artists', stats.topArtists, 'artist');
+  this.renderStatsList(el, 'Top Tracks', stats.topTracks, 'track');
+  this.renderStatsList(el, 'Top Albums', stats.topAlbums, 'album');
+  
+  const heatmapTitle = document.createElement('h4');
+  heatmapTitle.textContent = 'When You Listen';
+  el.appendChild(heatmapTitle);
+  el.appendChild(this.createHeatmapSvg(stats.heatmap));
+  
+  if (stats.discoveries.length > 0) {
+    this.renderStatsList(el, 'New Artists', stats.discoveries.map(artist => ({
+      ...artist,
+      subtitle: `first played ${moment(artist.day).format('ll')}`
+    })), 'artist');
+  }
+}
+
+renderStatsList(el, title, entries, type) {
+  if (entries.length === 0) return;
+  
+  const titleEl = document.createElement('h4');
+  titleEl.textContent = title;
+  el.appendChild(titleEl);
+  
+  const list = document.createElement('div');
+  list.className = 'spotify-stats-list';
+  entries.forEach((entry, index) => {
+    const row = document.createElement('div');
+    row.className = 'spotify-search-result-item spotify-list';
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '12px';
+    row.style.padding = '6px 8px';
+    row.style.borderBottom = '1px solid var(--background-modifier-border)';
+    
+    const rank = document.createElement('span');
+    rank.className = 'spotify-rank';
+    rank.textContent = `#${index + 1}`;
+    row.appendChild(rank);
+    
+    const info = document.createElement('div');
+    info.style.flex = '1';
+    info.style.minWidth = '0';
+    const name = document.createElement(entry.id ? 'a' : 'div');
+    name.className = 'spotify-track-title';
+    name.textContent = entry.name;
+    name.style.marginBottom = '0';
+    if (entry.id) {
+      name.href = `https://open.spotify.com/${type}/${entry.id}`;
+      name.target = '_blank';
+      name.rel = 'noopener';
+    }
+    info.appendChild(name);
+    if (entry.subtitle) {
+      const subtitle = document.createElement('div');
+      subtitle.className = 'spotify-track-artist';
+      subtitle.textContent = entry.subtitle;
+      info.appendChild(subtitle);
+    }
+    row.appendChild(info);
+    
+    const playCount = document.createElement('span');
+    playCount.className = 'spotify-track-duration';
+    playCount.textContent = `${entry.plays} ${entry.plays === 1 ? 'play' : 'plays'}`;
+    row.appendChild(playCount);
+    
+    list.appendChild(row);
+  });
+  el.appendChild(list);
+}
+
+/**
+ * Weekday by hour grid of play counts; darker cells had more plays.
+ */
+createHeatmapSvg(heatmap) {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const cell = 14;
+  const gap = 2;
+  const left = 32;
+  const top = 14;
+  const max = Math.max(1, ...heatmap.flat());
+  
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'spotify-heatmap');
+  svg.setAttribute('viewBox', `0 0 ${left + 24 * (cell + gap)} ${top + 7 * (cell + gap)}`);
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', 'Plays per weekday and hour');
+  
+  const addText = (x, y, text, anchor = 'start') => {
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y);
+    label.setAttribute('text-anchor', anchor);
+    label.setAttribute('class', 'spotify-heatmap-label');
+    label.textContent = text;
+    svg.appendChild(label);
+  };
+  
+  for (let hour = 0; hour < 24; hour += 6) {
+    addText(left + hour * (cell + gap), top - 4, `${hour}:00`);
+  }
+  heatmap.forEach((hours, day) => {
+    const y = top + day * (cell + gap);
+    addText(0, y + cell - 3, WEEKDAYS[day]);
+    hours.forEach((plays, hour) => {
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('x', left + hour * (cell + gap));
+      rect.setAttribute('y', y);
+      rect.setAttribute('width', cell);
+      rect.setAttribute('height', cell);
+      rect.setAttribute('rx', 2);
+      rect.setAttribute('class', plays > 0 ? 'spotify-heatmap-cell' : 'spotify-heatmap-cell is-empty');
+      if (plays > 0) rect.setAttribute('fill-opacity', (0.15 + 0.85 * plays / max).toFixed(2));
+      const tooltip = document.createElementNS(SVG_NS, 'title');
+      tooltip.textContent = `${WEEKDAYS[day]} ${hour}:00 – ${plays} ${plays === 1 ? 'play' : 'plays'}`;
+      rect.appendChild(tooltip);
+      svg.appendChild(rect);
+    });
+  });
+  return svg;
+}
+
+/**
+ * Keeps library entries saved between `since` and `until` (inclusive).
+ * Both may be a day or a month, compared against the start of `addedAt`.
+ * Recently played tracks are filtered by the `after`/`before` timestamps.
+ */
+filterLibraryEntries(entries, config) {
+  return entries.filter(({ addedAt }) => {
+    if (config.after || config.before) {
+      const time = Date.parse(addedAt);
+      return !(config.after && time <= config.after) && !(config.before && time >= config.before);
+    }
+    if (!addedAt) return !config.since && !config.until;
+    if (config.since && addedAt.slice(0, config.since.length) < config.since) return false;
+    if (config.until && addedAt.slice(0, config.until.length) > config.until) return false;
+    return true;
+  });
+}
+
+sortLibraryEntries(entries, sort) {
+  const byName = (a, b) => a.item.name.localeCompare(b.item.name);
+  switch (sort) {
+    case 'name':
+      return [...entries].sort(byName);
+    case 'artist':
+      return [...entries].sort((a, b) =>
+        (this.getItemSubtitle(a.item) || a.item.name).localeCompare(this.getItemSubtitle(b.item) || b.item.name) || byName(a, b));
+    default:
+      // Newest first; Spotify already returns saved items in this order
+      return [...entries].sort((a, b) => (b.addedAt || '').localeCompare(a.addedAt || ''));
+  }
+}
+
+/**
+ * Renders `config.limit` items starting at `config.offset` into `listEl`,
+ * followed by a "Load more" button that appends the next page.
+ */
+renderPagedList(listEl, items, config, renderItem) {
+  const pageSize = config.limit || this.settings.maxResults;
+  let shown = Math.min(config.offset || 0, items.length);
+  
+  const loadMore = document.createElement('button');
+  loadMore.className = 'spotify-load-more';
+  
+  const showNextPage = () => {
+    const end = Math.min(shown + pageSize, items.length);
+    for (let i = shown; i < end; i++) {
+      const itemEl = renderItem(items[i], i);
+      if (itemEl) listEl.appendChild(itemEl);
+    }
+    shown = end;
+    
+    const remaining = items.length - shown;
+    if (remaining > 0) {
+      loadMore.textContent = `Load more (${remaining} remaining)`;
+    } else {
+      loadMore.remove();
+    }
+  };
+  
+  loadMore.addEventListener('click', showNextPage);
+  listEl.after(loadMore);
+  showNextPage();
+}
+
+createTrackRow(track, index, options) {
+  const { className, detail = 'artist', context = null } = options;
+  
+  const trackItem = document.createElement('div');
+  trackItem.className = className;
+  trackItem.style.display = 'flex';
+  trackItem.style.alignItems = 'center';
+  trackItem.style.padding = '4px 0';
+  trackItem.style.borderBottom = '1px solid var(--background-modifier-border-light)';
+  
+  const trackNumber = document.createElement('div');
+  trackNumber.className = 'spotify-track-number';
+  trackNumber.textContent = (index + 1).toString();
+  trackNumber.style.width = '24px';
+  trackNumber.style.color = 'var(--text-muted)';
+  trackNumber.style.fontSize = '0.9em';
+  trackItem.appendChild(trackNumber);
+  
+  const trackInfo = document.createElement('div');
+  trackInfo.className = 'spotify-track-info';
+  trackInfo.style.flex = '1';
+  
+  const trackTitle = document.createElement('div');
+  trackTitle.className = 'spotify-track-title';
+  trackTitle.textContent = track.name;
+  trackTitle.style.fontWeight = '500';
+  trackInfo.appendChild(trackTitle);
+  
+  const trackDetail = document.createElement('div');
+  if (detail === 'album') {
+    trackDetail.className = 'spotify-track-album';
+    trackDetail.textContent = track.album.name;
+  } else if (detail === 'episode') {
+    trackDetail.className = 'spotify-episode-release-date';
+    const resume = this.formatResumePoint(track);
+    trackDetail.textContent = resume ? `${track.release_date} · ${resume}` : track.release_date;
+  } else {
+    trackDetail.className = 'spotify-track-artist';
+    trackDetail.textContent = track.artists.map(a => a.name).join(', ');
+  }
+  trackDetail.style.color = 'var(--text-muted)';
+  trackDetail.style.fontSize = '0.9em';
+  trackInfo.appendChild(trackDetail);
+  
+  trackItem.appendChild(trackInfo);
+
+  if (this.settings.showDuration && track.duration_ms) {
+    const duration = document.createElement('div');
+    duration.className = 'spotify-track-duration';
+    duration.textContent = this.formatDuration(track.duration_ms);
+    duration.style.color = 'var(--text-muted)';
+    duration.style.fontSize = '0.9em';
+    trackItem.appendChild(duration);
+  }
+  
+  // Local files can't be played or opened through the Web API
+  if (track.is_local) return trackItem;
+  
+  this.renderPlaybackActions(trackItem, track, { context, compact: true });
+  if (this.isUserConnected()) {
+    trackItem.classList.add('spotify-playable');
+    trackItem.addEventListener('click', () => {
+      this.runPlayerAction(() => this.playUri(track.uri, context));
+    });
+  }
+  
+  return trackItem;
+}
+
+renderPlaybackActions(el, item, options = {}) {
+  const { context = null, compact = false } = options;
+  
+  const actions = document.createElement('div');
+  actions.className = 'spotify-actions';
+  
+  if (this.isUserConnected()) {
+    const playButton = document.createElement('button');
+    playButton.className = 'spotify-action spotify-play-button';
+    playButton.textContent = compact ? '▶' : '▶ Play';
+    playButton.setAttribute('aria-label', 'Play on Spotify');
+    playButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.runPlayerAction(() => this.playUri(item.uri, context));
+    });
+    actions.appendChild(playButton);
+    
+    if (item.type === 'track' || item.type === 'episode') {
+      const queueButton = document.createElement('button');
+      queueButton.className = 'spotify-action spotify-queue-button';
+      queueButton.textContent = compact ? '+' : '+ Queue';
+      queueButton.setAttribute('aria-label', 'Add to queue');
+      queueButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.runPlayerAction(async () => {
+          await this.queueUri(item.uri);
+          new Notice(`Added "${item.name}" to queue`);
+        });
+      });
+      actions.appendChild(queueButton);
+    }
+  } else {
+    const openLink = document.createElement('a');
+    openLink.className = 'spotify-action spotify-open-link';
+    openLink.href = this.getSpotifyWebUrl(item);
+    openLink.target = '_blank';
+    openLink.rel = 'noopener';
+    openLink.textContent = compact ? '↗' : 'Open in Spotify';
+    openLink.setAttribute('aria-label', 'Open in Spotify');
+    openLink.addEventListener('click', (e) => e.stopPropagation());
+    actions.appendChild(openLink);
+  }
+  
+  if (!compact) {
+    const noteButton = document.createElement('button');
+    noteButton.className = 'spotify-action spotify-note-button';
+    noteButton.textContent = 'Create note';
+    noteButton.setAttribute('aria-label', 'Create a note for this item');
+    noteButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.createNoteFromItem(item);
+    });
+    actions.appendChild(noteButton);
+  }
+  
+  el.appendChild(actions);
+}
+
+renderSearchInterface(el, config, blockContext = null) {
+  this.emptyElement(el);
+  
+  const resultsContainer = document.createElement('div');
+  resultsContainer.className = 'spotify-search-results';
+  
+  // Blocks with a fixed query render their results right away; the search box is opt-in
+  const fixedQuery = this.buildSearchQuery(config);
+  const interactive = config.interactive ?? !fixedQuery;
+  if (!interactive) {
+    el.appendChild(resultsContainer);
+    this.runSearch(resultsContainer, config, config.query, config.searchType || 'track', blockContext);
+    return;
+  }
+  
+  const searchContainer = document.createElement('div');
+  searchContainer.className = 'spotify-search-container';
+  searchContainer.style.padding = '16px';
+  searchContainer.style.border = '1px solid var(--background-modifier-border)';
+  searchContainer.style.borderRadius = '8px';
+  searchContainer.style.marginBottom = '16px';
+  
+  const searchTitle = document.createElement('h3');
+  searchTitle.textContent = 'Search Spotify';
+  searchTitle.style.margin = '0 0 12px 0';
+  searchContainer.appendChild(searchTitle);
+  
+  const searchForm = document.createElement('div');
+  searchForm.className = 'spotify-search-form';
+  searchForm.style.display = 'flex';
+  searchForm.style.gap = '8px';
+  searchForm.style.alignItems = 'center';
+  searchForm.style.marginBottom = '12px';
+  
+  const searchInput = document.createElement('input');
+  searchInput.type = 'text';
+  searchInput.placeholder = 'Enter search query...';
+  searchInput.value = config.query || '';
+  searchInput.className = 'spotify-search-input';
+  searchInput.style.flex = '1';
+  searchInput.style.padding = '8px';
+  searchInput.style.border = '1px solid var(--background-modifier-border)';
+  searchInput.style.borderRadius = '4px';
+  searchForm.appendChild(searchInput);
+  
+  const searchButton = document.createElement('button');
+  searchButton.textContent = 'Search';
+  searchButton.className = 'spotify-search-button';
+  searchButton.style.padding = '8px 16px';
+  searchButton.style.backgroundColor = 'var(--interactive-accent)';
+  searchButton.style.color = 'var(--text-on-accent)';
+  searchButton.style.border = 'none';
+  searchButton.style.borderRadius = '4px';
+  searchButton.style.cursor = 'pointer';
+  searchForm.appendChild(searchButton);
+  
+  searchContainer.appendChild(searchForm);
+  
+  const searchOptions = document.createElement('div');
+  searchOptions.className = 'spotify-search-options';
+  searchOptions.style.display = 'flex';
+  searchOptions.style.gap = '12px';
+  searchOptions.style.alignItems = 'center';
+  
+  const typeLabel = document.createElement('label');
+  typeLabel.textContent = 'Search type:';
+  typeLabel.style.fontSize = '0.9em';
+  searchOptions.appendChild(typeLabel);
+  
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'spotify-search-type';
+  typeSelect.style.padding = '4px';
+  typeSelect.style.border = '1px solid var(--background-modifier-border)';
+  typeSelect.style.borderRadius = '4px';
+  
+  const searchTypes = SEARCH_BLOCK_SCHEMA.searchType.enum;
+  searchTypes.forEach(type => {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+    option.selected = type === (config.searchType || 'track');
+    typeSelect.appendChild(option);
+  });
+  
+  searchOptions.appendChild(typeSelect);
+  searchContainer.appendChild(searchOptions);
+  
+  const performSearch = async () => {
+    const query = searchInput.value.trim();
+    if (!query && !fixedQuery) return;
+    
+    searchButton.textContent = 'Searching...';
+    searchButton.disabled = true;
+    
+    await this.runSearch(resultsContainer, config, query, typeSelect.value, blockContext);
+    
+    searchButton.textContent = 'Search';
+    searchButton.disabled = false;
+  };
+  
+  searchButton.addEventListener('click', performSearch);
+  searchInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      performSearch();
+    }
+  });
+  
+  el.appendChild(searchContainer);
+  el.appendChild(resultsContainer);
+  
+  if (fixedQuery) {
+    performSearch();
+  }
+}
+
+async runSearch(resultsEl, config, query, searchType, blockContext = null) {
+  const searchConfig = {
+    type: 'search',
+    query: this.buildSearchQuery({ ...config, query }),
+    searchType,
+    market: config.market,
+    layout: config.layout || this.settings.defaultLayout,
+    limit: config.limit || this.settings.maxResults
+  };
+  
+  try {
+    const data = await this.fetchSpotifyData(searchConfig, fresh => this.renderSearchResults(resultsEl, fresh, searchConfig, blockContext));
+    this.renderSearchResults(resultsEl, data, searchConfig, blockContext);
+  } catch (error) {
+    this.renderError(resultsEl, error.message);
+  }
+}
+
+renderSearchResults(el, results, config, blockContext = null) {
+  this.emptyElement(el);
+  
+  const searchType = config.searchType || 'track';
+  // Spotify sometimes returns null entries for unavailable items
+  const items = (results[searchType + 's']?.items || []).filter(Boolean);
+  
+  if (items.length === 0) {
+    const noResults = document.createElement('div');
+    noResults.className = 'spotify-no-results';
+    noResults.textContent = 'No results found';
+    noResults.style.textAlign = 'center';
+    noResults.style.padding = '20px';
+    noResults.style.color = 'var(--text-muted)';
+    el.appendChild(noResults);
+    return;
+  }
+  
+  const layout = config.layout || this.settings.defaultLayout;
+  
+  // Apply max results limit
+  const itemsToShow = items.slice(0, config.limit || this.settings.maxResults);
+  
+  // Set up grid layout if needed
+  if (layout === 'grid') {
+    el.style.display = 'grid';
+    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
+    el.style.gap = '16px';
+  }
+  
+  itemsToShow.forEach(item => {
+    el.appendChild(this.renderResultItem(item, searchType, layout, blockContext));
+  });
+}
+
+/**
+ * Renders one search result or library item in the given layout.
+ */
+renderResultItem(item, searchType, layout, blockContext = null) {
+  const itemContainer = document.createElement('div');
+  itemContainer.className = `spotify-search-result-item spotify-${layout}`;
+  
+  // Layout-specific styling
+  if (layout === 'list') {
+    itemContainer.style.display = 'flex';
+    itemContainer.style.alignItems = 'center';
+    itemContainer.style.gap = '12px';
+    itemContainer.style.padding = '8px';
+    itemContainer.style.borderBottom = '1px solid var(--background-modifier-border)';
+  } else if (layout === 'card' || layout === 'grid') {
+    itemContainer.style.display = 'flex';
+    itemContainer.style.flexDirection = 'column';
+    itemContainer.style.padding = '12px';
+    itemContainer.style.border = '1px solid var(--background-modifier-border)';
+    itemContainer.style.borderRadius = '8px';
+  }
+  
+  switch (searchType) {
+    case 'track':
+      this.renderTrackSearchResult(itemContainer, item, layout);
+      break;
+    case 'album':
+      this.renderAlbumSearchResult(itemContainer, item, layout);
+      break;
+    case 'artist':
+      this.renderArtistSearchResult(itemContainer, item, layout);
+      break;
+    case 'playlist':
+      this.renderPlaylistSearchResult(itemContainer, item, layout);
+      break;
+    case 'show':
+      this.renderShowSearchResult(itemContainer, item, layout);
+      break;
+    case 'episode':
+      this.renderEpisodeSearchResult(itemContainer, item, layout);
+      break;
+  }
+  
+  if (blockContext) {
+    this.renderInsertAction(itemContainer, item, blockContext);
+  }
+  
+  return itemContainer;
+}
+
+renderInsertAction(el, item, blockContext) {
+  const insertButton = document.createElement('button');
+  insertButton.className = 'spotify-action spotify-insert-button';
+  insertButton.textContent = '+ Insert';
+  insertButton.setAttribute('aria-label', 'Insert into note');
+  insertButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const menu = new Menu();
+    for (const [format, label] of Object.entries(INSERT_FORMATS)) {
+      menu.addItem(menuItem => menuItem
+        .setTitle(`Insert as ${label}`)
+        .onClick(async () => {
+          try {
+            await this.insertIntoNote(this.formatSpotifyItem(item, format), blockContext);
+          } catch (error) {
+            new Notice(`Spotify: ${error.message}`);
+          }
+        }));
+    }
+    menu.showAtMouseEvent(e);
+  });
+  el.appendChild(insertButton);
+}
+
+// Updated search result rendering methods to handle layout
+renderTrackSearchResult(el, track, layout) {
+  if (track.album?.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(track.album.images).url);
+    img.className = 'spotify-search-result-image';
+    
+    if (layout === 'list') {
+      img.style.width = '48px';
+      img.style.height = '48px';
+    } else {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '8px';
+    }
+    
+    el.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-search-result-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('div');
+  title.className = 'spotify-search-result-title';
+  title.textContent = track.name;
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '4px';
+  info.appendChild(title);
+  
+  const artist = document.createElement('div');
+  artist.className = 'spotify-search-result-subtitle';
+  artist.textContent = track.artists.map(a => a.name).join(', ');
+  artist.style.color = 'var(--text-muted)';
+  artist.style.marginBottom = '2px';
+  info.appendChild(artist);
+  
+  const album = document.createElement('div');
+  album.className = 'spotify-search-result-detail';
+  album.textContent = track.album.name;
+  album.style.color = 'var(--text-muted)';
+  album.style.fontSize = '0.9em';
+  info.appendChild(album);
+  
+  el.appendChild(info);
+}
+
+renderAlbumSearchResult(el, album, layout) {
+  if (album.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(album.images).url);
+    img.className = 'spotify-search-result-image';
+    
+    if (layout === 'list') {
+      img.style.width = '48px';
+      img.style.height = '48px';
+    } else {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '8px';
+    }
+    
+    el.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-search-result-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('div');
+  title.className = 'spotify-search-result-title';
+  title.textContent = album.name;
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '4px';
+  info.appendChild(title);
+  
+  const artist = document.createElement('div');
+  artist.className = 'spotify-search-result-subtitle';
+  artist.textContent = album.artists.map(a => a.name).join(', ');
+  artist.style.color = 'var(--text-muted)';
+  artist.style.marginBottom = '2px';
+  info.appendChild(artist);
+  
+  const releaseDate = document.createElement('div');
+  releaseDate.className = 'spotify-search-result-detail';
+  releaseDate.textContent = new Date(album.release_date).getFullYear();
+  releaseDate.style.color = 'var(--text-muted)';
+  releaseDate.style.fontSize = '0.9em';
+  info.appendChild(releaseDate);
+  
+  el.appendChild(info);
+}
+
+renderArtistSearchResult(el, artist, layout) {
+  if (artist.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(artist.images).url);
+    img.className = 'spotify-search-result-image';
+    
+    if (layout === 'list') {
+      img.style.width = '48px';
+      img.style.height = '48px';
+      img.style.borderRadius = '50%';
+    } else {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.borderRadius = '50%';
+      img.style.marginBottom = '8px';
+    }
+    
+    el.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-search-result-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('div');
+  title.className = 'spotify-search-result-title';
+  title.textContent = artist.name;
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '4px';
+  info.appendChild(title);
+  
+  const followers = document.createElement('div');
+  followers.className = 'spotify-search-result-subtitle';
+  followers.textContent = `${artist.followers.total.toLocaleString()} followers`;
+  followers.style.color = 'var(--text-muted)';
+  followers.style.marginBottom = '2px';
+  info.appendChild(followers);
+  
+  if (artist.genres?.length > 0) {
+    const genres = document.createElement('div');
+    genres.className = 'spotify-search-result-detail';
+    genres.textContent = artist.genres.slice(0, 3).join(', ');
+    genres.style.color = 'var(--text-muted)';
+    genres.style.fontSize = '0.9em';
+    info.appendChild(genres);
+  }
+  
+  el.appendChild(info);
+}
+
+renderPlaylistSearchResult(el, playlist, layout) {
+  if (playlist.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(playlist.images).url);
+    img.className = 'spotify-search-result-image';
+    
+    if (layout === 'list') {
+      img.style.width = '48px';
+      img.style.height = '48px';
+    } else {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '8px';
+    }
+    
+    el.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-search-result-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('div');
+  title.className = 'spotify-search-result-title';
+  title.textContent = playlist.name;
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '4px';
+  info.appendChild(title);
+  
+  const owner = document.createElement('div');
+  owner.className = 'spotify-search-result-subtitle';
+  owner.textContent = `by ${playlist.owner.display_name}`;
+  owner.style.color = 'var(--text-muted)';
+  owner.style.marginBottom = '2px';
+  info.appendChild(owner);
+  
+  const trackCount = document.createElement('div');
+  trackCount.className = 'spotify-search-result-detail';
+  trackCount.textContent = `${playlist.tracks.total} tracks`;
+  trackCount.style.color = 'var(--text-muted)';
+  trackCount.style.fontSize = '0.9em';
+  info.appendChild(trackCount);
+  
+  el.appendChild(info);
+          }
+
+renderShowSearchResult(el, show, layout) {
+  if (show.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(show.images).url);
+    img.className = 'spotify-search-result-image';
+    
+    if (layout === 'list') {
+      img.style.width = '48px';
+      img.style.height = '48px';
+    } else {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '8px';
+    }
+    
+    el.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-search-result-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('div');
+  title.className = 'spotify-search-result-title';
+  title.textContent = show.name;
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '4px';
+  info.appendChild(title);
+  
+  const publisher = document.createElement('div');
+  publisher.className = 'spotify-search-result-subtitle';
+  publisher.textContent = show.publisher;
+  publisher.style.color = 'var(--text-muted)';
+  publisher.style.marginBottom = '2px';
+  info.appendChild(publisher);
+  
+  const episodeCount = document.createElement('div');
+  episodeCount.className = 'spotify-search-result-detail';
+  episodeCount.textContent = `${show.total_episodes} episodes`;
+  episodeCount.style.color = 'var(--text-muted)';
+  episodeCount.style.fontSize = '0.9em';
+  info.appendChild(episodeCount);
+  
+  el.appendChild(info);
+}
+
+renderEpisodeSearchResult(el, episode, layout) {
+  if (episode.images?.[0]) {
+    const img = document.createElement('img');
+    this.setImageSrc(img, this.getCoverImage(episode.images).url);
+    img.className = 'spotify-search-result-image';
+    
+    if (layout === 'list') {
+      img.style.width = '48px';
+      img.style.height = '48px';
+    } else {
+      img.style.width = '100%';
+      img.style.aspectRatio = '1';
+      img.style.objectFit = 'cover';
+      img.style.marginBottom = '8px';
+    }
+    
+    el.appendChild(img);
+  }
+  
+  const info = document.createElement('div');
+  info.className = 'spotify-search-result-info';
+  info.style.flex = '1';
+  
+  const title = document.createElement('div');
+  title.className = 'spotify-search-result-title';
+  title.textContent = episode.name;
+  title.style.fontWeight = 'bold';
+  title.style.marginBottom = '4px';
+  info.appendChild(title);
+  
+  const releaseDate = document.createElement('div');
+  releaseDate.className = 'spotify-search-result-subtitle';
+  releaseDate.textContent = episode.release_date;
+  releaseDate.style.color = 'var(--text-muted)';
+  releaseDate.style.marginBottom = '2px';
+  info.appendChild(releaseDate);
+  
+  const duration = document.createElement('div');
+  duration.className = 'spotify-search-result-detail';
+  duration.textContent = this.formatDuration(episode.duration_ms);
+  duration.style.color = 'var(--text-muted)';
+  duration.style.fontSize = '0.9em';
+  info.appendChild(duration);
+  
+  el.appendChild(info);
+}
+
+  renderError(el, message) {
+  this.emptyElement(el);
+  const errorDiv = document.createElement('div');
+  errorDiv.className = 'spotify-error';
+  errorDiv.style.cssText = `
+    color: #ff4444;
+    padding: 10px;
+    border: 1px solid #ff4444;
+    border-radius: 4px;
+    background-color: rgba(255, 68, 68, 0.1);
+    margin: 10px 0;
+    white-space: pre-line;
+  `;
+  errorDiv.textContent = `Spotify Error: ${message}`;
+  el.appendChild(errorDiv);
+}
+
+  // Enhanced onunload method with proper cleanup
+  onunload() {
+    console.log('Unloading Spotify Plugin');
+    // Persist any pending cache writes
+    this.cache.flush();
+    this.covers.flush();
+    this.history.flush();
+    this.stopInterval('nowPlayingTimer');
+    this.stopInterval('historyTimer');
+    // Clear any stored tokens for security
+    this.accessToken = null;
+    this.tokenExpiry = null;
+  }
+}
+
+// Missing SpotifySettingTab class
+class SpotifySettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+
+    containerEl.createEl('h2', { text: 'Spotify Plugin Settings' });
+
+    // Spotify API Credentials
+    containerEl.createEl('h3', { text: 'Spotify API Credentials' });
+    containerEl.createEl('p', { 
+      text: 'Get your credentials from the Spotify Developer Dashboard',
+      cls: 'setting-item-description' 
+    });
+
+    new Setting(containerEl)
+      .setName('Client ID')
+      .setDesc('Your Spotify application Client ID')
+      .addText(text => text
+        .setPlaceholder('Enter your Client ID')
+        .setValue(this.plugin.settings.clientId)
+        .onChange(async (value) => {
+          this.plugin.settings.clientId = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Client Secret')
+      .setDesc('Your Spotify application Client Secret (not needed once your account is connected)')
+      .addText(text => text
+        .setPlaceholder('Enter your Client Secret')
+        .setValue(this.plugin.settings.clientSecret)
+        .onChange(async (value) => {
+          this.plugin.settings.clientSecret = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Market')
+      .setDesc('Two-letter country code used for availability of podcasts and artist top tracks')
+      .addText(text => text
+        .setPlaceholder('US')
+        .setValue(this.plugin.settings.market)
+        .onChange(async (value) => {
+          if (!/^[a-zA-Z]{2}$/.test(value.trim())) return;
+          this.plugin.settings.market = value.trim().toUpperCase();
+          await this.plugin.saveSettings();
+        }));
+
+    // Spotify Account
+    containerEl.createEl('h3', { text: 'Spotify Account' });
+
+    const connected = this.plugin.isUserConnected();
+    new Setting(containerEl)
+      .setName(connected ? `Connected as ${this.plugin.settings.userDisplayName}` : 'Not connected')
+      .setDesc(connected
+        ? 'Your account is used for your library, listening history and playback'
+        : `Log in to access your library, listening history and playback. Add ${SPOTIFY_REDIRECT_URI} as a Redirect URI in your Spotify app first.`)
+      .addButton(button => {
+        button
+          .setButtonText(connected ? 'Disconnect account' : 'Connect account')
+          .onClick(async () => {
+            try {
+              if (connected) {
+                await this.plugin.disconnectSpotifyAccount();
+                new Notice('Spotify account disconnected');
+                this.display();
+              } else {
+                await this.plugin.connectSpotifyAccount();
+              }
+            } catch (error) {
+              new Notice(`✗ ${error.message}`);
+            }
+          });
+        if (!connected) button.setCta();
+      });
+
+    new Setting(containerEl)
+      .setName('Default User ID')
+      .setDesc('Spotify user whose public playlists "type: my-playlists" lists when no account is connected. Filled in when you connect.')
+      .addText(text => text
+        .setPlaceholder('Spotify user ID')
+        .setValue(this.plugin.settings.defaultUserId)
+        .onChange(async (value) => {
+          this.plugin.settings.defaultUserId = value.trim();
+          await this.plugin.saveSettings();
+        }));
+
+    // Inserting Content
+    containerEl.createEl('h3', { text: 'Inserting Content' });
+
+    new Setting(containerEl)
+      .setName('Insert Format')
+      .setDesc('How the "Search and insert" command writes the chosen item')
+      .addDropdown(dropdown => {
+        for (const [format, label] of Object.entries(INSERT_FORMATS)) {
+          dropdown.addOption(format, label.charAt(0).toUpperCase() + label.slice(1));
+        }
+        dropdown
+          .setValue(this.plugin.settings.insertFormat)
+          .onChange(async (value) => {
+            this.plugin.settings.insertFormat = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Link Autocomplete')
+      .setDesc('Suggest Spotify items while typing [spotify: or @spotify in the editor')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.linkSuggest)
+        .onChange(async (value) => {
+          this.plugin.settings.linkSuggest = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Convert Pasted Links')
+      .setDesc('Turn pasted open.spotify.com links into Spotify content. Undo restores the plain link.')
+      .addDropdown(dropdown => {
+        dropdown.addOption('off', 'Off');
+        for (const [format, label] of Object.entries(INSERT_FORMATS)) {
+          dropdown.addOption(format, label.charAt(0).toUpperCase() + label.slice(1));
+        }
+        dropdown
+          .setValue(this.plugin.settings.pasteConversion)
+          .onChange(async (value) => {
+            this.plugin.settings.pasteConversion = value;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Search Insert Mode')
+      .setDesc('Where "Insert" on a search result writes the item')
+      .addDropdown(dropdown => dropdown
+        .addOption('cursor', 'At the cursor')
+        .addOption('replace', 'Replace the search block')
+        .setValue(this.plugin.settings.searchInsertMode)
+        .onChange(async (value) => {
+          this.plugin.settings.searchInsertMode = value;
+          await this.plugin.saveSettings();
+        }));
+
+    // Music Notes
+    containerEl.createEl('h3', { text: 'Music Notes' });
+
+    new Setting(containerEl)
+      .setName('Note Folder')
+      .setDesc('Folder for notes created with "Create note from Spotify item"')
+      .addText(text => text
+        .setPlaceholder('Music')
+        .setValue(this.plugin.settings.noteFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.noteFolder = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Note Filename')
+      .setDesc('Filename pattern, e.g. {{artists}} - {{name}}')
+      .addText(text => text
+        .setPlaceholder('{{name}}')
+        .setValue(this.plugin.settings.noteFilename)
+        .onChange(async (value) => {
+          this.plugin.settings.noteFilename = value || '{{name}}';
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Note Template')
+      .setDesc('Path of a note to use as template. Leave empty for the built-in template.')
+      .addText(text => text
+        .setPlaceholder('Templates/Spotify')
+        .setValue(this.plugin.settings.noteTemplatePath)
+        .onChange(async (value) => {
+          this.plugin.settings.noteTemplatePath = value;
+          await this.plugin.saveSettings();
+        }));
+
+    // Cover Art
+    containerEl.createEl('h3', { text: 'Cover Art' });
+
+    new Setting(containerEl)
+      .setName('Download Covers')
+      .setDesc('Save the covers of spotify blocks and music notes into the vault and show them from there, so they work offline and in PDF exports')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.downloadCovers)
+        .onChange(async (value) => {
+          this.plugin.settings.downloadCovers = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Cover Folder')
+      .setDesc('Vault folder for downloaded covers')
+      .addText(text => text
+        .setPlaceholder('Spotify Covers')
+        .setValue(this.plugin.settings.coverFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.coverFolder = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Cover Size')
+      .setDesc('Resolution of cover images that are shown and downloaded')
+      .addDropdown(dropdown => dropdown
+        .addOption('large', 'Large (640px)')
+        .addOption('medium', 'Medium (300px)')
+        .addOption('small', 'Small (64px)')
+        .setValue(this.plugin.settings.coverSize)
+        .onChange(async (value) => {
+          this.plugin.settings.coverSize = value;
+          await this.plugin.saveSettings();
+        }));
+
+    // Display Settings
+    containerEl.createEl('h3', { text: 'Display Settings' });
+
+    new Setting(containerEl)
+      .setName('Default Layout')
+      .setDesc('Choose the default layout for displaying Spotify content')
+      .addDropdown(dropdown => dropdown
+        .addOption('card', 'Card')
+        .addOption('list', 'List')
+        .addOption('grid', 'Grid')
+        .setValue(this.plugin.settings.defaultLayout)
+        .onChange(async (value) => {
+          this.plugin.settings.defaultLayout = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show Album Art')
+      .setDesc('Display album artwork in track and album displays')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showAlbumArt)
+        .onChange(async (value) => {
+          this.plugin.settings.showAlbumArt = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show Artist')
+      .setDesc('Display artist information')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showArtist)
+        .onChange(async (value) => {
+          this.plugin.settings.showArtist = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show Album')
+      .setDesc('Display album information in track displays')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showAlbum)
+        .onChange(async (value) => {
+          this.plugin.settings.showAlbum = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show Duration')
+      .setDesc('Display track duration')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showDuration)
+        .onChange(async (value) => {
+          this.plugin.settings.showDuration = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show Genres')
+      .setDesc('Display genre information for artists')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showGenres)
+        .onChange(async (value) => {
+          this.plugin.settings.showGenres = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show Popularity')
+      .setDesc('Display popularity scores')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showPopularity)
+        .onChange(async (value) => {
+          this.plugin.settings.showPopularity = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Grid Columns')
+      .setDesc('Number of columns for grid layout')
+      .addSlider(slider => slider
+        .setLimits(1, 5, 1)
+        .setValue(this.plugin.settings.gridColumns)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.gridColumns = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Max Results')
+      .setDesc('Maximum number of results to display')
+      .addSlider(slider => slider
+        .setLimits(5, 50, 5)
+        .setValue(this.plugin.settings.maxResults)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.maxResults = value;
+          await this.plugin.saveSettings();
+        }));
+
+    // Playback
+    containerEl.createEl('h3', { text: 'Playback' });
+
+    new Setting(containerEl)
+      .setName('Show Now Playing')
+      .setDesc('Show the currently playing track in the status bar (requires a connected account)')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.showNowPlaying)
+        .onChange(async (value) => {
+          this.plugin.settings.showNowPlaying = value;
+          await this.plugin.saveSettings();
+          this.plugin.updateNowPlaying();
+        }));
+
+    new Setting(containerEl)
+      .setName('Now Playing Refresh Interval')
+      .setDesc('Seconds between status bar updates')
+      .addSlider(slider => slider
+        .setLimits(5, 60, 5)
+        .setValue(this.plugin.settings.nowPlayingInterval)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.nowPlayingInterval = value;
+          await this.plugin.saveSettings();
+          this.plugin.startNowPlayingPolling();
+        }));
+
+    // Listening Log
+    containerEl.createEl('h3', { text: 'Listening Log' });
+
+    new Setting(containerEl)
+      .setName('Log Listening History')
+      .setDesc('Regularly save your recently played tracks and add them to your daily notes (requires a connected account)')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.listeningLog)
+        .onChange(async (value) => {
+          this.plugin.settings.listeningLog = value;
+          await this.plugin.saveSettings();
+          this.plugin.startListeningLogPolling();
+          if (value) this.plugin.syncListeningHistory();
+        }));
+
+    new Setting(containerEl)
+      .setName('Sync Interval')
+      .setDesc('Minutes between syncs. Spotify only remembers your last 50 tracks, so keep this short if you listen a lot.')
+      .addSlider(slider => slider
+        .setLimits(10, 120, 10)
+        .setValue(this.plugin.settings.listeningLogInterval)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.listeningLogInterval = value;
+          await this.plugin.saveSettings();
+          this.plugin.startListeningLogPolling();
+        }));
+
+    new Setting(containerEl)
+      .setName('Daily Note Folder')
+      .setDesc('Folder of your daily notes')
+      .addText(text => text
+        .setPlaceholder('Daily')
+        .setValue(this.plugin.settings.dailyNoteFolder)
+        .onChange(async (value) => {
+          this.plugin.settings.dailyNoteFolder = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Daily Note Date Format')
+      .setDesc('Moment.js format of daily note names')
+      .addText(text => text
+        .setPlaceholder('YYYY-MM-DD')
+        .setValue(this.plugin.settings.dailyNoteFormat)
+        .onChange(async (value) => {
+          this.plugin.settings.dailyNoteFormat = value || 'YYYY-MM-DD';
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Log Heading')
+      .setDesc('Heading the plays are added under; added to the note if missing')
+      .addText(text => text
+        .setPlaceholder('## Listening log')
+        .setValue(this.plugin.settings.listeningLogHeading)
+        .onChange(async (value) => {
+          this.plugin.settings.listeningLogHeading = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Log Line Template')
+      .setDesc('One line per play. Placeholders: {{time}} {{track}} {{artists}} {{album}} {{duration}} {{url}} {{uri}}')
+      .addText(text => text
+        .setPlaceholder(DEFAULT_LOG_TEMPLATE)
+        .setValue(this.plugin.settings.listeningLogTemplate)
+        .onChange(async (value) => {
+          this.plugin.settings.listeningLogTemplate = value || DEFAULT_LOG_TEMPLATE;
+          await this.plugin.saveSettings();
+        }));
+
+    // Authentication Status
+    containerEl.createEl('h3', { text: 'Authentication Status' });
+    
+    const authStatus = containerEl.createEl('div');
+    if (this.plugin.accessToken || this.plugin.isUserConnected()) {
+      authStatus.innerHTML = '<span style="color: #4CAF50;">✓ Connected to Spotify</span>';
+    } else {
+      authStatus.innerHTML = '<span style="color: #f44336;">✗ Not connected to Spotify</span>';
+    }
+
+    // Test Connection Button
+    new Setting(containerEl)
+      .setName('Test Connection')
+      .setDesc('Test your Spotify API connection')
+      .addButton(button => button
+        .setButtonText('Test Connection')
+        .onClick(async () => {
+          button.setButtonText('Testing...');
+          try {
+            await this.plugin.authenticateSpotify();
+            new Notice('✓ Spotify connection successful!');
+            this.display(); // Refresh the settings display
+          } catch (error) {
+            new Notice('✗ Spotify connection failed. Check your credentials.');
+          }
+          button.setButtonText('Test Connection');
+        }));
+
+    // Cache
+    containerEl.createEl('h3', { text: 'Cache' });
+    containerEl.createEl('p', {
+      text: 'Spotify data is cached in the plugin folder so notes render without refetching and keep working offline. Stale entries are shown right away and refreshed in the background.',
+      cls: 'setting-item-description'
+    });
+
+    const ttlLabels = {
+      track: 'Tracks',
+      album: 'Albums',
+      artist: 'Artists',
+      playlist: 'Playlists',
+      show: 'Shows',
+      episode: 'Episodes',
+      search: 'Searches',
+      library: 'Library Blocks'
+    };
+    for (const [type, label] of Object.entries(ttlLabels)) {
+      new Setting(containerEl)
+        .setName(`${label} Cache Duration`)
+        .setDesc('Minutes before cached data is refreshed')
+        .addText(text => text
+          .setValue(String(this.plugin.settings.cacheTtls[type]))
+          .onChange(async (value) => {
+            const minutes = parseInt(value);
+            if (!(minutes > 0)) return;
+            this.plugin.settings.cacheTtls[type] = minutes;
+            await this.plugin.saveSettings();
+          }));
+    }
+
+    new Setting(containerEl)
+      .setName('Max Cache Size')
+      .setDesc('Megabytes of Spotify data to keep; least recently used entries are removed first')
+      .addSlider(slider => slider
+        .setLimits(5, 200, 5)
+        .setValue(this.plugin.settings.maxCacheSizeMb)
+        .setDynamicTooltip()
+        .onChange(async (value) => {
+          this.plugin.settings.maxCacheSizeMb = value;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Cache Cover Images')
+      .setDesc('Keep copies of cover images so they show offline')
+      .addToggle(toggle => toggle
+        .setValue(this.plugin.settings.cacheImages)
+        .onChange(async (value) => {
+          this.plugin.settings.cacheImages = value;
+          await this.plugin.saveSettings();
+        }));
+
+    // Clear Cache Button
+    new Setting(containerEl)
+      .setName('Clear Cache')
+      .setDesc('Clear cached Spotify data')
+      .addButton(button => button
+        .setButtonText('Clear Cache')
+        .onClick(async () => {
+          this.plugin.cache.clear();
+          await this.plugin.cache.clearImages();
+          new Notice('Cache cleared successfully!');
+        }));
+  }
+}
+
+/**
+ * Runs async tasks with a concurrency cap. The queue can be paused, e.g. to
+ * honor a Retry-After header, without dropping queued tasks.
+ */
+class RequestQueue {
+  constructor(concurrency) {
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.resumeTimer = null;
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  next() {
+    if (this.active >= this.concurrency || this.queue.length === 0) return;
+
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) {
+      if (!this.resumeTimer) {
+        this.resumeTimer = setTimeout(() => {
+          this.resumeTimer = null;
+          this.next();
+        }, wait);
+      }
+      return;
+    }
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.active++;
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        this.next();
+      });
+    this.next();
+  }
+}
+
+/**
+ * Collects single-item lookups made within a short window and resolves them
+ * through the multi-ID endpoints (`/tracks?ids=`, `/albums?ids=`, ...), so a
+ * note with many blocks costs a handful of requests instead of one per block.
+ */
+class BatchLoader {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.pending = new Map();
+    this.timer = null;
+  }
+
+  load(resource, id) {
+    // A malformed ID makes Spotify reject the whole batch, so fail it on its own
+    if (!/^[a-zA-Z0-9]{22}$/.test(id)) {
+      return Promise.reject(new Error(`Invalid Spotify ID: ${id}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!this.pending.has(resource)) {
+        this.pending.set(resource, new Map());
+      }
+      const waiting = this.pending.get(resource);
+      if (!waiting.has(id)) {
+        waiting.set(id, []);
+      }
+      waiting.get(id).push({ resolve, reject });
+
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), BATCH_DELAY);
+      }
+    });
+  }
+
+  flush() {
+    this.timer = null;
+    const pending = this.pending;
+    this.pending = new Map();
+
+    for (const [resource, waiting] of pending) {
+      const ids = [...waiting.keys()];
+      const limit = BATCH_LIMITS[resource];
+      for (let i = 0; i < ids.length; i += limit) {
+        this.fetchBatch(resource, ids.slice(i, i + limit), waiting);
+      }
+    }
+  }
+
+  async fetchBatch(resource, ids, waiting) {
+    try {
+      const market = MARKET_RESOURCES.includes(resource) ? `&market=${this.plugin.settings.market}` : '';
+      const data = await this.plugin.makeSpotifyRequest(`/${resource}?ids=${ids.join(',')}${market}`);
+      const items = data[resource] || [];
+      ids.forEach((id, index) => {
+        const item = items[index];
+        for (const { resolve, reject } of waiting.get(id)) {
+          if (item) {
+            resolve(item);
+          } else {
+            reject(new Error(`No ${resource.slice(0, -1)} found with ID ${id}`));
+          }
+        }
+      });
+    } catch (error) {
+      for (const id of ids) {
+        waiting.get(id).forEach(({ reject }) => reject(error));
+      }
+    }
+  }
+}
+
+/**
+ * Plugin data kept in a JSON file of its own. Subclasses provide `path`,
+ * `restore(stored)` and `serialize()`; changes are written at most every
+ * two seconds, and once more on unload through flush().
+ */
+class JsonStore {
+  constructor(plugin, label) {
+    this.plugin = plugin;
+    this.label = label;
+    this.saveTimer = null;
+  }
+
+  get adapter() {
+    return this.plugin.app.vault.adapter;
+  }
+
+  async load() {
+    try {
+      if (!(await this.adapter.exists(this.path))) return;
+      this.restore(JSON.parse(await this.adapter.read(this.path)));
+    } catch (error) {
+      console.error(`Failed to load ${this.label}:`, error);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = window.setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, 2000);
+  }
+
+  async save() {
+    try {
+      const dir = this.path.slice(0, this.path.lastIndexOf('/'));
+      if (!(await this.adapter.exists(dir))) {
+        await this.adapter.mkdir(dir);
+      }
+      await this.adapter.write(this.path, JSON.stringify(this.serialize()));
+    } catch (error) {
+      console.error(`Failed to save ${this.label}:`, error);
+    }
+  }
+
+  async flush() {
+    if (!this.saveTimer) return;
+    window.clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+}
+
+/**
+ * Persistent LRU cache for Spotify API responses and cover images,
+ * stored in the plugin folder.
+ */
+class SpotifyCache extends JsonStore {
+  constructor(plugin) {
+    super(plugin, 'Spotify cache');
+    this.entries = new Map();
+    this.images = new Map();
+    this.totalSize = 0;
+  }
+
+  get dir() {
+    return `${this.plugin.manifest.dir}/cache`;
+  }
+
+  get path() {
+    return `${this.dir}/data.json`;
+  }
+
+  get imageDir() {
+    return `${this.dir}/images`;
+  }
+
+  restore(stored) {
+    this.entries = new Map(stored.entries || []);
+    this.images = new Map(stored.images || []);
+    this.totalSize = 0;
+    for (const entry of this.entries.values()) {
+      this.totalSize += entry.size;
+    }
+  }
+
+  serialize() {
+    return {
+      entries: [...this.entries],
+      images: [...this.images]
+    };
+  }
 
-renderSearchResults(el, results, config) {
-  this.emptyElement(el);
-  
-  const searchType = config.searchType || 'track';
-  const items = results[searchType + 's']?.items || [];
-  
-  if (items.length === 0) {
-    const noResults = document.createElement('div');
-    noResults.className = 'spotify-no-results';
-    noResults.textContent = 'No results found';
-    noResults.style.textAlign = 'center';
-    noResults.style.padding = '20px';
-    noResults.style.color = 'var(--text-muted)';
-    el.appendChild(noResults);
-    return;
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
   }
-  
-  const layout = config.layout || this.settings.defaultLayout;
-  
-  // Apply max results limit
-  const itemsToShow = items.slice(0, config.limit || this.settings.maxResults);
-  
-  // Set up grid layout if needed
-  if (layout === 'grid') {
-    el.style.display = 'grid';
-    el.style.gridTemplateColumns = `repeat(${this.settings.gridColumns}, 1fr)`;
-    el.style.gap = '16px';
+
+  isFresh(entry) {
+    return Date.now() - entry.timestamp < this.plugin.getCacheTtl(entry.type);
   }
-  
-  itemsToShow.forEach(item => {
-    const itemContainer = document.createElement('div');
-    itemContainer.className = `spotify-search-result-item spotify-${layout}`;
-    
-    // Layout-specific styling
-    if (layout === 'list') {
-      itemContainer.style.display = 'flex';
-      itemContainer.style.alignItems = 'center';
-      itemContainer.style.gap = '12px';
-      itemContainer.style.padding = '8px';
-      itemContainer.style.borderBottom = '1px solid var(--background-modifier-border)';
-    } else if (layout === 'card' || layout === 'grid') {
-      itemContainer.style.display = 'flex';
-      itemContainer.style.flexDirection = 'column';
-      itemContainer.style.padding = '12px';
-      itemContainer.style.border = '1px solid var(--background-modifier-border)';
-      itemContainer.style.borderRadius = '8px';
+
+  set(key, type, data) {
+    this.delete(key);
+    const size = JSON.stringify(data).length;
+    this.entries.set(key, { type, data, size, timestamp: Date.now() });
+    this.totalSize += size;
+    this.evict();
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.totalSize -= entry.size;
+    this.entries.delete(key);
+  }
+
+  evict() {
+    const maxSize = this.plugin.settings.maxCacheSizeMb * 1024 * 1024;
+    for (const key of this.entries.keys()) {
+      if (this.totalSize <= maxSize || this.entries.size <= 1) break;
+      this.delete(key);
     }
-    
-    switch (searchType) {
-      case 'track':
-        this.renderTrackSearchResult(itemContainer, item, layout);
-        break;
-      case 'album':
-        this.renderAlbumSearchResult(itemContainer, item, layout);
-        break;
-      case 'artist':
-        this.renderArtistSearchResult(itemContainer, item, layout);
-        break;
-      case 'playlist':
-        this.renderPlaylistSearchResult(itemContainer, item, layout);
-        break;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalSize = 0;
+    this.scheduleSave();
+  }
+
+  getImagePath(url) {
+    const path = this.images.get(url);
+    if (!path) return null;
+    this.images.delete(url);
+    this.images.set(url, path);
+    return path;
+  }
+
+  async cacheImage(url) {
+    if (this.images.has(url)) return;
+    const fileName = url.split('/').pop().replace(/[^a-zA-Z0-9]/g, '');
+    if (!fileName) return;
+
+    const response = await requestUrl({ url });
+    if (!(await this.adapter.exists(this.imageDir))) {
+      await this.adapter.mkdir(this.imageDir);
     }
-    
-    el.appendChild(itemContainer);
-  });
-}
+    const path = `${this.imageDir}/${fileName}.jpg`;
+    await this.adapter.writeBinary(path, response.arrayBuffer);
+    this.images.set(url, path);
 
-// Updated search result rendering methods to handle layout
-renderTrackSearchResult(el, track, layout) {
-  if (track.album?.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = track.album.images[0].url;
-    img.className = 'spotify-search-result-image';
-    
-    if (layout === 'list') {
-      img.style.width = '48px';
-      img.style.height = '48px';
-    } else {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
-      img.style.marginBottom = '8px';
+    for (const [oldUrl, oldPath] of this.images) {
+      if (this.images.size <= MAX_CACHED_IMAGES) break;
+      this.images.delete(oldUrl);
+      await this.adapter.remove(oldPath).catch(() => {});
     }
-    
-    el.appendChild(img);
+    this.scheduleSave();
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-search-result-info';
-  info.style.flex = '1';
-  
-  const title = document.createElement('div');
-  title.className = 'spotify-search-result-title';
-  title.textContent = track.name;
-  title.style.fontWeight = 'bold';
-  title.style.marginBottom = '4px';
-  info.appendChild(title);
-  
-  const artist = document.createElement('div');
-  artist.className = 'spotify-search-result-subtitle';
-  artist.textContent = track.artists.map(a => a.name).join(', ');
-  artist.style.color = 'var(--text-muted)';
-  artist.style.marginBottom = '2px';
-  info.appendChild(artist);
-  
-  const album = document.createElement('div');
-  album.className = 'spotify-search-result-detail';
-  album.textContent = track.album.name;
-  album.style.color = 'var(--text-muted)';
-  album.style.fontSize = '0.9em';
-  info.appendChild(album);
-  
-  el.appendChild(info);
-}
 
-renderAlbumSearchResult(el, album, layout) {
-  if (album.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = album.images[0].url;
-    img.className = 'spotify-search-result-image';
-    
-    if (layout === 'list') {
-      img.style.width = '48px';
-      img.style.height = '48px';
-    } else {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
-      img.style.marginBottom = '8px';
+  async clearImages() {
+    if (await this.adapter.exists(this.imageDir)) {
+      await this.adapter.rmdir(this.imageDir, true);
     }
-    
-    el.appendChild(img);
+    this.images.clear();
+    this.scheduleSave();
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-search-result-info';
-  info.style.flex = '1';
-  
-  const title = document.createElement('div');
-  title.className = 'spotify-search-result-title';
-  title.textContent = album.name;
-  title.style.fontWeight = 'bold';
-  title.style.marginBottom = '4px';
-  info.appendChild(title);
-  
-  const artist = document.createElement('div');
-  artist.className = 'spotify-search-result-subtitle';
-  artist.textContent = album.artists.map(a => a.name).join(', ');
-  artist.style.color = 'var(--text-muted)';
-  artist.style.marginBottom = '2px';
-  info.appendChild(artist);
-  
-  const releaseDate = document.createElement('div');
-  releaseDate.className = 'spotify-search-result-detail';
-  releaseDate.textContent = new Date(album.release_date).getFullYear();
-  releaseDate.style.color = 'var(--text-muted)';
-  releaseDate.style.fontSize = '0.9em';
-  info.appendChild(releaseDate);
-  
-  el.appendChild(info);
 }
 
-renderArtistSearchResult(el, artist, layout) {
-  if (artist.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = artist.images[0].url;
-    img.className = 'spotify-search-result-image';
-    
-    if (layout === 'list') {
-      img.style.width = '48px';
-      img.style.height = '48px';
-      img.style.borderRadius = '50%';
-    } else {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
-      img.style.borderRadius = '50%';
-      img.style.marginBottom = '8px';
-    }
-    
-    el.appendChild(img);
+/**
+ * Cover images downloaded into the vault. Files are named by a hash of their
+ * content, so a cover shared by several items (or URLs) is stored once. The
+ * URL to file index lives in the plugin folder.
+ */
+class CoverStore extends JsonStore {
+  constructor(plugin) {
+    super(plugin, 'Spotify cover index');
+    this.index = new Map();
+    this.downloads = new Map();
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-search-result-info';
-  info.style.flex = '1';
-  
-  const title = document.createElement('div');
-  title.className = 'spotify-search-result-title';
-  title.textContent = artist.name;
-  title.style.fontWeight = 'bold';
-  title.style.marginBottom = '4px';
-  info.appendChild(title);
-  
-  const followers = document.createElement('div');
-  followers.className = 'spotify-search-result-subtitle';
-  followers.textContent = `${artist.followers.total.toLocaleString()} followers`;
-  followers.style.color = 'var(--text-muted)';
-  followers.style.marginBottom = '2px';
-  info.appendChild(followers);
-  
-  if (artist.genres?.length > 0) {
-    const genres = document.createElement('div');
-    genres.className = 'spotify-search-result-detail';
-    genres.textContent = artist.genres.slice(0, 3).join(', ');
-    genres.style.color = 'var(--text-muted)';
-    genres.style.fontSize = '0.9em';
-    info.appendChild(genres);
+
+  get vault() {
+    return this.plugin.app.vault;
   }
-  
-  el.appendChild(info);
-}
 
-renderPlaylistSearchResult(el, playlist, layout) {
-  if (playlist.images?.[0]) {
-    const img = document.createElement('img');
-    img.src = playlist.images[0].url;
-    img.className = 'spotify-search-result-image';
-    
-    if (layout === 'list') {
-      img.style.width = '48px';
-      img.style.height = '48px';
-    } else {
-      img.style.width = '100%';
-      img.style.aspectRatio = '1';
-      img.style.objectFit = 'cover';
-      img.style.marginBottom = '8px';
+  get path() {
+    return `${this.plugin.manifest.dir}/covers.json`;
+  }
+
+  restore(stored) {
+    this.index = new Map(Object.entries(stored));
+  }
+
+  serialize() {
+    return Object.fromEntries(this.index);
+  }
+
+  /**
+   * Vault path of the downloaded cover for `url`, or null if it hasn't been
+   * downloaded or the file was deleted.
+   */
+  getPath(url) {
+    const path = this.index.get(url);
+    return path && this.vault.getAbstractFileByPath(path) instanceof TFile ? path : null;
+  }
+
+  download(url) {
+    const existing = this.getPath(url);
+    if (existing) return Promise.resolve(existing);
+
+    // Several blocks showing the same cover share one download
+    if (!this.downloads.has(url)) {
+      const download = this.fetchCover(url).finally(() => this.downloads.delete(url));
+      this.downloads.set(url, download);
     }
-    
-    el.appendChild(img);
+    return this.downloads.get(url);
   }
-  
-  const info = document.createElement('div');
-  info.className = 'spotify-search-result-info';
-  info.style.flex = '1';
-  
-  const title = document.createElement('div');
-  title.className = 'spotify-search-result-title';
-  title.textContent = playlist.name;
-  title.style.fontWeight = 'bold';
-  title.style.marginBottom = '4px';
-  info.appendChild(title);
-  
-  const owner = document.createElement('div');
-  owner.className = 'spotify-search-result-subtitle';
-  owner.textContent = `by ${playlist.owner.display_name}`;
-  owner.style.color = 'var(--text-muted)';
-  owner.style.marginBottom = '2px';
-  info.appendChild(owner);
-  
-  const trackCount = document.createElement('div');
-  trackCount.className = 'spotify-search-result-detail';
-  trackCount.textContent = `${playlist.tracks.total} tracks`;
-  trackCount.style.color = 'var(--text-muted)';
-  trackCount.style.fontSize = '0.9em';
-  info.appendChild(trackCount);
-  
-  el.appendChild(info);
-          }
 
-  renderError(el, message) {
-  this.emptyElement(el);
-  const errorDiv = document.createElement('div');
-  errorDiv.className = 'spotify-error';
-  errorDiv.style.cssText = `
-    color: #ff4444;
-    padding: 10px;
-    border: 1px solid #ff4444;
-    border-radius: 4px;
-    background-color: rgba(255, 68, 68, 0.1);
-    margin: 10px 0;
-  `;
-  errorDiv.textContent = `Spotify Error: ${message}`;
-  el.appendChild(errorDiv);
+  async fetchCover(url) {
+    const response = await requestUrl({ url });
+    const digest = await crypto.subtle.digest('SHA-256', response.arrayBuffer);
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+
+    const folder = normalizePath(this.plugin.settings.coverFolder.trim() || 'Spotify Covers');
+    const path = `${folder}/${hash.slice(0, 16)}.jpg`;
+    // A parallel download may create the folder or the same image first
+    if (!this.vault.getAbstractFileByPath(folder)) {
+      await this.vault.createFolder(folder).catch(() => {});
+    }
+    try {
+      if (!this.vault.getAbstractFileByPath(path)) {
+        await this.vault.createBinary(path, response.arrayBuffer);
+      }
+    } catch (error) {
+      if (!this.vault.getAbstractFileByPath(path)) throw error;
+    }
+
+    this.index.set(url, path);
+    this.scheduleSave();
+    return path;
+  }
 }
 
-  // Enhanced onunload method with proper cleanup
-  onunload() {
-    console.log('Unloading Spotify Plugin');
-    // Clear cache
-    if (this.cache) {
-      this.cache.clear();
+/**
+ * Every play seen by the listening log, keyed by `played_at` and track name
+ * so overlapping syncs don't add a play twice. Stored in the plugin folder.
+ */
+class ListeningHistory extends JsonStore {
+  constructor(plugin) {
+    super(plugin, 'Spotify listening history');
+    this.plays = new Map();
+    // Plays by minute, built on first use by hasPlayNear()
+    this.nearIndex = null;
+  }
+
+  get path() {
+    return `${this.plugin.manifest.dir}/history.json`;
+  }
+
+  restore(stored) {
+    this.plays = new Map((stored.plays || []).map(play => [this.keyOf(play), play]));
+  }
+
+  serialize() {
+    return { plays: this.getPlays() };
+  }
+
+  // Old exports only give the minute a play ended, so the time alone isn't unique
+  keyOf(play) {
+    return `${play.playedAt} ${play.name.toLowerCase()}`;
+  }
+
+  /**
+   * Adds the plays not in the history yet and returns how many were new.
+   */
+  add(plays) {
+    let added = 0;
+    for (const play of plays) {
+      const key = this.keyOf(play);
+      if (this.plays.has(key)) continue;
+      this.plays.set(key, play);
+      if (this.nearIndex) this.indexNear(play);
+      added++;
     }
-    // Clear any stored tokens for security
-    this.accessToken = null;
-    this.tokenExpiry = null;
+    if (added > 0) this.scheduleSave();
+    return added;
+  }
+
+  /**
+   * Whether a play of the same track is already in the history within a
+   * minute, e.g. one logged from the API before an export is imported.
+   * Exports and the API report play times with different precision.
+   */
+  hasPlayNear(play) {
+    if (this.plays.has(this.keyOf(play))) return true;
+    if (!this.nearIndex) {
+      this.nearIndex = new Map();
+      for (const existing of this.plays.values()) this.indexNear(existing);
+    }
+    const minute = Math.floor(Date.parse(play.playedAt) / 60000);
+    const key = play.name.toLowerCase();
+    return [minute - 1, minute, minute + 1].some(m => this.nearIndex.get(m)?.has(key));
+  }
+
+  indexNear(play) {
+    const minute = Math.floor(Date.parse(play.playedAt) / 60000);
+    if (!this.nearIndex.has(minute)) this.nearIndex.set(minute, new Set());
+    this.nearIndex.get(minute).add(play.name.toLowerCase());
+  }
+
+  // Oldest first
+  getPlays() {
+    return [...this.plays.values()].sort((a, b) => a.playedAt.localeCompare(b.playedAt));
+  }
+
+  get lastPlayedAt() {
+    let last = null;
+    for (const { playedAt } of this.plays.values()) {
+      if (!last || playedAt > last) last = playedAt;
+    }
+    return last;
   }
 }
 
-// Missing SpotifySettingTab class
-class SpotifySettingTab extends PluginSettingTab {
+class SpotifySearchModal extends SuggestModal {
+  constructor(app, plugin, onChoose) {
+    super(app);
+    this.plugin = plugin;
+    this.onChoose = onChoose;
+    this.search = plugin.createDebouncedSearch();
+    this.setPlaceholder('Search Spotify or paste a link...');
+    this.setInstructions([
+      { command: 't: a: ar: p: s: e:', purpose: 'track, album, artist, playlist, show, episode' },
+      { command: '↵', purpose: 'to choose' },
+      { command: 'esc', purpose: 'to dismiss' }
+    ]);
+  }
+
+  getSuggestions(input) {
+    const { searchType, query } = this.plugin.parseSearchPrefix(input);
+    if (!query.trim()) return [];
+    return this.search(query.trim(), searchType);
+  }
+
+  renderSuggestion(item, el) {
+    this.plugin.renderItemSuggestion(item, el);
+  }
+
+  onChooseSuggestion(item) {
+    this.onChoose(item);
+  }
+}
+
+/**
+ * Suggests Spotify items while typing `[spotify:<query>` or `@spotify <query>`
+ * and completes them to an inline `[spotify:type:id]` link.
+ */
+class SpotifyLinkSuggest extends EditorSuggest {
   constructor(app, plugin) {
-    super(app, plugin);
+    super(app);
     this.plugin = plugin;
+    this.search = plugin.createDebouncedSearch();
+    this.setInstructions([
+      { command: 'track: album: artist: ...', purpose: 'to pick a type' },
+      { command: '↵', purpose: 'to insert link' }
+    ]);
   }
 
-  display() {
-    const { containerEl } = this;
-    containerEl.empty();
+  onTrigger(cursor, editor) {
+    if (!this.plugin.settings.linkSuggest) return null;
 
-    containerEl.createEl('h2', { text: 'Spotify Plugin Settings' });
+    const line = editor.getLine(cursor.line).slice(0, cursor.ch);
+    const match = line.match(/(\[spotify:|@spotify )([^\]]*)$/);
+    if (!match) return null;
 
-    // Spotify API Credentials
-    containerEl.createEl('h3', { text: 'Spotify API Credentials' });
-    containerEl.createEl('p', { 
-      text: 'Get your credentials from the Spotify Developer Dashboard',
-      cls: 'setting-item-description' 
-    });
+    // Leave finished links like [spotify:track:<id> alone
+    const query = match[2];
+    if (/^\w+:[a-zA-Z0-9]{22}$/.test(query)) return null;
 
-    new Setting(containerEl)
-      .setName('Client ID')
-      .setDesc('Your Spotify application Client ID')
-      .addText(text => text
-        .setPlaceholder('Enter your Client ID')
-        .setValue(this.plugin.settings.clientId)
-        .onChange(async (value) => {
-          this.plugin.settings.clientId = value;
-          await this.plugin.saveSettings();
-        }));
+    return {
+      start: { line: cursor.line, ch: match.index },
+      end: cursor,
+      query
+    };
+  }
 
-    new Setting(containerEl)
-      .setName('Client Secret')
-      .setDesc('Your Spotify application Client Secret')
-      .addText(text => text
-        .setPlaceholder('Enter your Client Secret')
-        .setValue(this.plugin.settings.clientSecret)
-        .onChange(async (value) => {
-          this.plugin.settings.clientSecret = value;
-          await this.plugin.saveSettings();
-        }));
+  getSuggestions(context) {
+    const { searchType, query } = this.plugin.parseSearchPrefix(context.query);
+    // Wait for a couple of characters so typing doesn't fire a search per key
+    if (query.trim().length < 2) return [];
+    return this.search(query.trim(), searchType);
+  }
 
-    // Display Settings
-    containerEl.createEl('h3', { text: 'Display Settings' });
+  renderSuggestion(item, el) {
+    this.plugin.renderItemSuggestion(item, el);
+  }
 
-    new Setting(containerEl)
-      .setName('Default Layout')
-      .setDesc('Choose the default layout for displaying Spotify content')
-      .addDropdown(dropdown => dropdown
-        .addOption('card', 'Card')
-        .addOption('list', 'List')
-        .addOption('grid', 'Grid')
-        .setValue(this.plugin.settings.defaultLayout)
-        .onChange(async (value) => {
-          this.plugin.settings.defaultLayout = value;
-          await this.plugin.saveSettings();
-        }));
+  selectSuggestion(item) {
+    const { editor, start, end } = this.context;
+    // Swallow the closing bracket Obsidian auto-inserts after "["
+    const replaceEnd = editor.getRange(end, { line: end.line, ch: end.ch + 1 }) === ']'
+      ? { line: end.line, ch: end.ch + 1 }
+      : end;
+    const link = this.plugin.formatSpotifyItem(item, 'inline');
+    editor.replaceRange(link, start, replaceEnd);
+    editor.setCursor({ line: start.line, ch: start.ch + link.length });
+    this.close();
+  }
+}
 
-    new Setting(containerEl)
-      .setName('Show Album Art')
-      .setDesc('Display album artwork in track and album displays')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.showAlbumArt)
-        .onChange(async (value) => {
-          this.plugin.settings.showAlbumArt = value;
-          await this.plugin.saveSettings();
-        }));
+/**
+ * Lists the properties changed by "Refresh metadata of music notes".
+ */
+class SpotifyRefreshReportModal extends Modal {
+  constructor(app, results) {
+    super(app);
+    this.results = results;
+  }
 
-    new Setting(containerEl)
-      .setName('Show Artist')
-      .setDesc('Display artist information')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.showArtist)
-        .onChange(async (value) => {
-          this.plugin.settings.showArtist = value;
-          await this.plugin.saveSettings();
-        }));
+  onOpen() {
+    const { contentEl } = this;
+    const changed = this.results.filter(result => result.changes?.length > 0);
+    const failed = this.results.filter(result => result.error);
+    const unchanged = this.results.length - changed.length - failed.length;
 
-    new Setting(containerEl)
-      .setName('Show Album')
-      .setDesc('Display album information in track displays')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.showAlbum)
-        .onChange(async (value) => {
-          this.plugin.settings.showAlbum = value;
-          await this.plugin.saveSettings();
-        }));
+    this.titleEl.setText('Music notes refreshed');
+    contentEl.createEl('p', {
+      text: `${changed.length} updated, ${unchanged} unchanged, ${failed.length} failed`
+    });
 
-    new Setting(containerEl)
-      .setName('Show Duration')
-      .setDesc('Display track duration')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.showDuration)
-        .onChange(async (value) => {
-          this.plugin.settings.showDuration = value;
-          await this.plugin.saveSettings();
-        }));
+    const formatValue = (value) => {
+      if (value === undefined || value === null) return '–';
+      return Array.isArray(value) ? value.join(', ') || '–' : String(value);
+    };
 
-    new Setting(containerEl)
-      .setName('Show Genres')
-      .setDesc('Display genre information for artists')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.showGenres)
-        .onChange(async (value) => {
-          this.plugin.settings.showGenres = value;
-          await this.plugin.saveSettings();
-        }));
+    for (const { file, changes } of changed) {
+      const noteEl = contentEl.createDiv({ cls: 'spotify-refresh-note' });
+      const link = noteEl.createEl('a', { text: file.basename, cls: 'internal-link' });
+      link.addEventListener('click', () => {
+        this.app.workspace.getLeaf().openFile(file);
+        this.close();
+      });
+      const list = noteEl.createEl('ul');
+      for (const { key, from, to } of changes) {
+        list.createEl('li', { text: `${key}: ${formatValue(from)} → ${formatValue(to)}` });
+      }
+    }
 
-    new Setting(containerEl)
-      .setName('Show Popularity')
-      .setDesc('Display popularity scores')
-      .addToggle(toggle => toggle
-        .setValue(this.plugin.settings.showPopularity)
-        .onChange(async (value) => {
-          this.plugin.settings.showPopularity = value;
-          await this.plugin.saveSettings();
-        }));
+    if (failed.length > 0) {
+      contentEl.createEl('h4', { text: 'Failed' });
+      const list = contentEl.createEl('ul');
+      for (const { file, error } of failed) {
+        list.createEl('li', { text: `${file.basename}: ${error}` });
+      }
+    }
+  }
 
-    new Setting(containerEl)
-      .setName('Grid Columns')
-      .setDesc('Number of columns for grid layout')
-      .addSlider(slider => slider
-        .setLimits(1, 5, 1)
-        .setValue(this.plugin.settings.gridColumns)
-        .setDynamicTooltip()
-        .onChange(async (value) => {
-          this.plugin.settings.gridColumns = value;
-          await this.plugin.saveSettings();
-        }));
+  onClose() {
+    this.contentEl.empty();
+  }
+}
 
-    new Setting(containerEl)
-      .setName('Max Results')
-      .setDesc('Maximum number of results to display')
-      .addSlider(slider => slider
-        .setLimits(5, 50, 5)
-        .setValue(this.plugin.settings.maxResults)
-        .setDynamicTooltip()
-        .onChange(async (value) => {
-          this.plugin.settings.maxResults = value;
-          await this.plugin.saveSettings();
-        }));
+class SpotifyDeviceModal extends SuggestModal {
+  constructor(app, plugin) {
+    super(app);
+    this.plugin = plugin;
+    this.devices = null;
+    this.setPlaceholder('Choose a device to play on...');
+  }
 
-    // Authentication Status
-    containerEl.createEl('h3', { text: 'Authentication Status' });
-    
-    const authStatus = containerEl.createEl('div');
-    if (this.plugin.accessToken) {
-      authStatus.innerHTML = '<span style="color: #4CAF50;">✓ Connected to Spotify</span>';
-    } else {
-      authStatus.innerHTML = '<span style="color: #f44336;">✗ Not connected to Spotify</span>';
+  async getSuggestions(query) {
+    try {
+      if (!this.devices) {
+        this.devices = await this.plugin.getPlaybackDevices();
+      }
+    } catch (error) {
+      new Notice(`Spotify: ${error.message}`);
+      this.close();
+      return [];
     }
+    const lowerQuery = query.toLowerCase();
+    return this.devices.filter(device => device.name.toLowerCase().includes(lowerQuery));
+  }
 
-    // Test Connection Button
-    new Setting(containerEl)
-      .setName('Test Connection')
-      .setDesc('Test your Spotify API connection')
-      .addButton(button => button
-        .setButtonText('Test Connection')
-        .onClick(async () => {
-          button.setButtonText('Testing...');
-          try {
-            await this.plugin.authenticateSpotify();
-            new Notice('✓ Spotify connection successful!');
-            this.display(); // Refresh the settings display
-          } catch (error) {
-            new Notice('✗ Spotify connection failed. Check your credentials.');
-          }
-          button.setButtonText('Test Connection');
-        }));
+  renderSuggestion(device, el) {
+    el.createEl('div', { text: device.name });
+    el.createEl('small', {
+      text: `${device.type}${device.is_active ? ' · active' : ''}`,
+      cls: 'spotify-device-type'
+    });
+  }
 
-    // Clear Cache Button
-    new Setting(containerEl)
-      .setName('Clear Cache')
-      .setDesc('Clear cached Spotify data')
-      .addButton(button => button
-        .setButtonText('Clear Cache')
-        .onClick(() => {
-          this.plugin.cache.clear();
-          new Notice('Cache cleared successfully!');
-        }));
+  onChooseSuggestion(device) {
+    this.plugin.runPlayerAction(() => this.plugin.transferPlayback(device.id));
+  }
+}
+
+class SpotifyChipWidget extends WidgetType {
+  constructor(plugin, reference) {
+    super();
+    this.plugin = plugin;
+    this.reference = reference;
+  }
+
+  eq(other) {
+    return other.reference.type === this.reference.type && other.reference.id === this.reference.id;
+  }
+
+  toDOM() {
+    return this.plugin.createSpotifyChip(this.reference);
   }
+
+  ignoreEvent() {
+    return false;
+  }
+}
+
+/**
+ * Live Preview counterpart of `processInlineLinks()`: shows inline references
+ * as chips, except in code and where the cursor is, so they stay editable.
+ */
+function createSpotifyChipPlugin(plugin) {
+  return ViewPlugin.fromClass(class {
+    constructor(view) {
+      this.decorations = this.buildDecorations(view);
+    }
+
+    update(update) {
+      const livePreviewChanged = update.startState.field(editorLivePreviewField) !== update.state.field(editorLivePreviewField);
+      if (update.docChanged || update.viewportChanged || update.selectionSet || livePreviewChanged) {
+        this.decorations = this.buildDecorations(update.view);
+      }
+    }
+
+    buildDecorations(view) {
+      if (!view.state.field(editorLivePreviewField)) return Decoration.none;
+
+      const builder = new RangeSetBuilder();
+      const { selection } = view.state;
+      const tree = syntaxTree(view.state);
+      for (const { from, to } of view.visibleRanges) {
+        const text = view.state.doc.sliceString(from, to);
+        for (const match of text.matchAll(INLINE_REFERENCE_PATTERN)) {
+          const start = from + match.index;
+          const end = start + match[0].length;
+          // Links with their own title, e.g. [title](https://open.spotify.com/...)
+          if (text[match.index - 1] === '(' || text[match.index - 1] === '<') continue;
+          if (selection.ranges.some(range => range.from <= end && range.to >= start)) continue;
+          if (/code/i.test(tree.resolveInner(start, 1).name)) continue;
+
+          builder.add(start, end, Decoration.replace({
+            widget: new SpotifyChipWidget(plugin, plugin.parseInlineMatch(match))
+          }));
+        }
+      }
+      return builder.finish();
+    }
+  }, {
+    decorations: value => value.decorations
+  });
 }
 
 // Export the plugin